@@ -1,14 +1,124 @@
 
 // app.js
 class AudioEngine {
-    constructor() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    constructor(audioContext = null) {
+        this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
         this.sounds = new Map();
         this.activeSources = new Map();
         this.masterVolume = 1.0;
+        this.defaultCrossfade = 3;
+        this.syncLookahead = 0.1;
         this.folders = new Map();
+        this.folderBuses = new Map();
+        this.impulseResponses = new Map();
+        this.randomSchedulers = new Map();
         this.nextFolderId = 1;
+        this.nextSoundOrder = 0;
+        this.onSourceEnded = null;
+        this.onActiveCountChange = null;
+        this.ducking = this.getDefaultDucking();
+        this.talkOver = false;
+        this.initMasterBus();
         this.initDefaultFolders();
+        this.voice = new VoiceChannel(this);
+    }
+
+    initMasterBus() {
+        this.masterGain = this.audioContext.createGain();
+        this.masterAnalyser = this.audioContext.createAnalyser();
+        this.masterAnalyser.fftSize = 256;
+        
+        this.masterGain.gain.value = this.masterVolume;
+        this.masterGain.connect(this.masterAnalyser);
+        this.masterGain.connect(this.audioContext.destination);
+    }
+
+    getFolderBus(folderId) {
+        if (!this.folderBuses.has(folderId)) {
+            const gainNode = this.audioContext.createGain();
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = 256;
+            
+            gainNode.connect(analyser);
+            gainNode.connect(this.masterGain);
+            
+            this.folderBuses.set(folderId, {
+                gainNode,
+                analyser,
+                solo: false
+            });
+            this.applyBusGains();
+        }
+        return this.folderBuses.get(folderId);
+    }
+
+    applyBusGains() {
+        let hasSolo = false;
+        this.folderBuses.forEach((bus) => {
+            if (bus.solo) hasSolo = true;
+        });
+        
+        this.folderBuses.forEach((bus, folderId) => {
+            const folder = this.folders.get(folderId);
+            const volume = folder ? (folder.volume ?? 1.0) : 1.0;
+            const muted = (folder && folder.muted) || (hasSolo && !bus.solo);
+            this.setGain(bus.gainNode, muted ? 0 : volume);
+        });
+    }
+
+    setMasterVolume(volume) {
+        this.masterVolume = volume;
+        this.setGain(this.masterGain, volume);
+    }
+
+    setFolderVolume(folderId, volume) {
+        const folder = this.folders.get(folderId);
+        if (!folder) return false;
+        
+        folder.volume = volume;
+        this.applyBusGains();
+        return true;
+    }
+
+    setFolderMute(folderId, muted) {
+        const folder = this.folders.get(folderId);
+        if (!folder) return false;
+        
+        folder.muted = muted;
+        this.applyBusGains();
+        return true;
+    }
+
+    setFolderSolo(folderId, solo) {
+        if (!this.folders.has(folderId)) return false;
+        
+        this.getFolderBus(folderId).solo = solo;
+        this.applyBusGains();
+        return true;
+    }
+
+    getLevel(analyser) {
+        const data = new Uint8Array(analyser.fftSize);
+        analyser.getByteTimeDomainData(data);
+        
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i] - 128) / 128);
+        }
+        return peak;
+    }
+
+    getFolderLevel(folderId) {
+        const bus = this.folderBuses.get(folderId);
+        return bus ? this.getLevel(bus.analyser) : 0;
+    }
+
+    getMasterLevel() {
+        return this.getLevel(this.masterAnalyser);
+    }
+
+    getVoiceLevel() {
+        return this.voice.isActive() ? this.getLevel(this.voice.analyser) : 0;
     }
 
     initDefaultFolders() {
@@ -16,455 +126,3206 @@ class AudioEngine {
             id: 'default',
             name: 'Все звуки',
             color: '#6c5ce7',
-            icon: '📁'
+            icon: '📁',
+            volume: 1.0,
+            muted: false
         });
     }
 
+    static async hashData(arrayBuffer) {
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+            return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+        }
+        return `crc32-${ZipArchive.crc32(new Uint8Array(arrayBuffer)).toString(16)}-${arrayBuffer.byteLength}`;
+    }
+
+    decodeData(arrayBuffer) {
+        return this.audioContext.decodeAudioData(arrayBuffer);
+    }
+
     async loadSound(id, file, folderId = 'default') {
-        try {
-            const arrayBuffer = await file.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            this.sounds.set(id, {
-                buffer: audioBuffer,
-                name: file.name,
-                volume: 1.0,
-                loop: false,
-                folderId: folderId
-            });
-            
-            return true;
-        } catch (error) {
-            console.error('Ошибка загрузки звука:', error);
-            return false;
+        const arrayBuffer = await file.arrayBuffer();
+        const hash = await AudioEngine.hashData(arrayBuffer);
+        const buffer = await this.decodeData(arrayBuffer);
+        this.addDecodedSound(id, file, buffer, hash, folderId);
+        return true;
+    }
+
+    addDecodedSound(id, file, buffer, hash, folderId = 'default') {
+        this.sounds.set(id, {
+            buffer: buffer,
+            file: file,
+            name: file.name,
+            duration: buffer.duration,
+            size: file.size,
+            hash: hash,
+            ...this.getDefaultSoundSettings(),
+            order: this.nextSoundOrder++,
+            folderId: this.folders.has(folderId) ? folderId : 'default'
+        });
+    }
+
+    findSoundByHash(hash) {
+        for (const [id, sound] of this.sounds) {
+            if (sound.hash === hash) return id;
         }
+        return null;
     }
 
-    playSound(id) {
-        if (!this.sounds.has(id)) return null;
+    registerSound(id, settings, fetchFile) {
+        this.sounds.set(id, {
+            buffer: null,
+            file: null,
+            fetchFile: fetchFile,
+            name: settings.name,
+            duration: settings.duration ?? null,
+            size: settings.size ?? null,
+            hash: settings.hash || null,
+            ...this.getDefaultSoundSettings(),
+            order: this.nextSoundOrder++,
+            folderId: this.folders.has(settings.folderId) ? settings.folderId : 'default'
+        });
+        this.applySoundSettings(id, settings);
+        this.nextSoundOrder = Math.max(this.nextSoundOrder, this.sounds.get(id).order + 1);
+    }
+
+    getDefaultSoundSettings() {
+        return {
+            volume: 1.0,
+            loop: false,
+            fadeIn: 0,
+            fadeOut: 0,
+            hotkey: null,
+            order: 0,
+            role: 'folder',
+            sequenceId: null,
+            tags: [],
+            favorite: false,
+            effects: EffectChain.getDefaults(),
+            playback: {
+                rate: 1.0,
+                detune: 0,
+                variation: 0
+            },
+            region: {
+                start: 0,
+                end: null,
+                loopStart: null,
+                loopEnd: null
+            },
+            random: {
+                enabled: false,
+                minInterval: 10,
+                maxInterval: 30,
+                volumeVariation: 0,
+                pitchVariation: 0,
+                pool: 'sound'
+            }
+        };
+    }
+
+    // Допустимые значения настроек: числа зажимаются в диапазон, для перечислений задан список.
+    // Настройки приходят и из импортированных архивов, поэтому сверяются все, а не только ожидаемые UI.
+    getSoundSettingRules() {
+        const gain = { min: -12, max: 12 };
+        return {
+            volume: { min: 0, max: 1 },
+            fadeIn: { min: 0, max: 30 },
+            fadeOut: { min: 0, max: 30 },
+            order: { min: 0 },
+            role: { values: ['folder', 'music', 'effects', 'none'] },
+            effects: {
+                pan: { min: -1, max: 1 },
+                low: gain,
+                mid: gain,
+                high: gain,
+                lowpass: { min: 200, max: 20000 },
+                reverb: { values: ['none', ...Object.keys(EffectChain.getReverbPresets())] },
+                reverbMix: { min: 0, max: 1 }
+            },
+            playback: {
+                rate: { min: 0.25, max: 4 },
+                detune: { min: -1200, max: 1200 },
+                variation: { min: 0, max: 12 }
+            },
+            region: {
+                start: { min: 0 },
+                end: { min: 0 },
+                loopStart: { min: 0 },
+                loopEnd: { min: 0 }
+            },
+            random: {
+                minInterval: { min: 0.5 },
+                maxInterval: { min: 0.5 },
+                volumeVariation: { min: 0, max: 1 },
+                pitchVariation: { min: 0, max: 12 },
+                pool: { values: ['sound', 'folder'] }
+            }
+        };
+    }
+
+    // Возвращает undefined, если значение не подходит: тогда настройка не меняется
+    sanitizeSetting(value, defaultValue, rule = {}) {
+        if (value === null && defaultValue === null) return null;
+        if (rule.values) return rule.values.includes(value) ? value : undefined;
+        if (typeof defaultValue === 'number' || rule.min !== undefined) {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+            return Math.max(rule.min ?? -Infinity, Math.min(rule.max ?? Infinity, value));
+        }
+        if (defaultValue === null) return typeof value === 'string' ? value : undefined;
+        return typeof value === typeof defaultValue ? value : undefined;
+    }
+
+    applySoundSettings(id, settings) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
         
+        const defaults = this.getDefaultSoundSettings();
+        const rules = this.getSoundSettingRules();
+        Object.keys(defaults).forEach((key) => {
+            if (settings[key] === undefined) return;
+            
+            if (Array.isArray(defaults[key])) {
+                if (Array.isArray(settings[key])) {
+                    sound[key] = settings[key].filter((item) => typeof item === 'string');
+                }
+            } else if (defaults[key] !== null && typeof defaults[key] === 'object') {
+                const values = settings[key] !== null && typeof settings[key] === 'object' ? settings[key] : {};
+                const merged = { ...defaults[key] };
+                Object.keys(merged).forEach((field) => {
+                    const value = this.sanitizeSetting(values[field], defaults[key][field], (rules[key] || {})[field]);
+                    if (value !== undefined) merged[field] = value;
+                });
+                sound[key] = merged;
+            } else {
+                const value = this.sanitizeSetting(settings[key], defaults[key], rules[key]);
+                if (value !== undefined) sound[key] = value;
+            }
+        });
+        return true;
+    }
+
+    async ensureBuffer(id) {
         const sound = this.sounds.get(id);
-        const source = this.audioContext.createBufferSource();
-        const gainNode = this.audioContext.createGain();
+        if (!sound) return false;
+        if (sound.buffer) return true;
         
-        source.buffer = sound.buffer;
-        source.loop = sound.loop;
+        if (!sound.decoding) {
+            sound.decoding = (async () => {
+                const file = sound.file || await sound.fetchFile();
+                const arrayBuffer = await file.arrayBuffer();
+                sound.buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+                sound.duration = sound.buffer.duration;
+                return true;
+            })().catch((error) => {
+                console.error('Ошибка декодирования звука:', error);
+                return false;
+            }).finally(() => {
+                sound.decoding = null;
+            });
+        }
         
-        gainNode.gain.value = sound.volume * this.masterVolume;
+        return sound.decoding;
+    }
+
+    getSoundSettings(id) {
+        const sound = this.sounds.get(id);
+        if (!sound) return null;
         
-        source.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        const settings = {
+            name: sound.name,
+            duration: sound.duration,
+            size: sound.size,
+            hash: sound.hash,
+            folderId: sound.folderId
+        };
+        Object.keys(this.getDefaultSoundSettings()).forEach((key) => {
+            settings[key] = sound[key];
+        });
+        return settings;
+    }
+
+    rampGain(gainNode, from, to, duration, when = null) {
+        const startAt = when ?? this.audioContext.currentTime;
+        gainNode.gain.cancelScheduledValues(startAt);
+        gainNode.gain.setValueAtTime(from, startAt);
+        gainNode.gain.linearRampToValueAtTime(to, startAt + duration);
+    }
+
+    setGain(gainNode, value) {
+        gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+        gainNode.gain.setValueAtTime(value, this.audioContext.currentTime);
+    }
+
+    playSound(id, options = {}) {
+        if (!this.sounds.has(id)) return null;
         
-        source.start();
+        const sound = this.sounds.get(id);
+        if (!sound.buffer) return null;
         
         const sourceId = Date.now() + Math.random();
-        this.activeSources.set(sourceId, {
-            source,
-            gainNode,
+        const rateScale = (options.playbackRate ?? 1) * this.getRandomRateScale(sound.playback);
+        const activeSound = {
+            source: null,
+            gainNode: null,
             soundId: id,
             paused: false,
-            startTime: this.audioContext.currentTime,
+            startTime: 0,
+            startOffset: 0,
             pausedTime: 0,
-            folderId: sound.folderId
-        });
-        
-        if (!sound.loop) {
-            source.onended = () => {
-                this.activeSources.delete(sourceId);
-                updateActiveCount();
-            };
-        }
+            folderId: sound.folderId,
+            oneShot: !!options.oneShot,
+            randomId: options.randomId ?? null,
+            loop: options.loop ?? null,
+            region: options.region || null,
+            gainScale: options.gainScale ?? 1,
+            rateScale: rateScale,
+            playbackRate: this.getPlaybackRate(sound.playback) * rateScale,
+            duckNode: this.audioContext.createGain(),
+            duckLevel: null
+        };
+        activeSound.duckNode.connect(this.getFolderBus(sound.folderId).gainNode);
+        this.activeSources.set(sourceId, activeSound);
+        this.startSource(sourceId, options.offset || 0, options.fadeIn ?? sound.fadeIn, options.when ?? null);
         
-        updateActiveCount();
+        this.updateDucking();
+        this.notifyActiveCountChange();
         return sourceId;
     }
 
-    stopSound(sourceId) {
+    startSource(sourceId, offset, fadeIn = 0, when = null) {
         const activeSound = this.activeSources.get(sourceId);
-        if (activeSound) {
-            try {
-                activeSound.source.stop();
-            } catch (e) {}
-            this.activeSources.delete(sourceId);
-            updateActiveCount();
+        const sound = this.sounds.get(activeSound.soundId);
+        const region = this.getSourceRegion(activeSound);
+        const loop = activeSound.loop ?? (sound.loop && !activeSound.oneShot);
+        const volume = sound.volume * activeSound.gainScale;
+        
+        if (loop && offset >= region.loopEnd) {
+            offset = region.loopStart + (offset - region.loopStart) % (region.loopEnd - region.loopStart);
+        } else if (!loop && offset >= region.end) {
+            offset = region.start;
+        }
+        offset = Math.max(region.start, offset);
+        
+        const source = this.audioContext.createBufferSource();
+        const gainNode = this.audioContext.createGain();
+        
+        source.buffer = sound.buffer;
+        source.loop = loop;
+        source.loopStart = region.loopStart;
+        source.loopEnd = region.loopEnd;
+        source.playbackRate.value = activeSound.playbackRate;
+        
+        const startTime = when ?? this.audioContext.currentTime;
+        if (fadeIn > 0) {
+            this.rampGain(gainNode, 0, volume, fadeIn, startTime);
+        } else {
+            gainNode.gain.value = volume;
+        }
+        
+        const effectChain = new EffectChain(this.audioContext, (type) => this.getImpulseResponse(type));
+        effectChain.apply(sound.effects, true);
+        
+        source.connect(effectChain.input);
+        effectChain.output.connect(gainNode);
+        gainNode.connect(activeSound.duckNode);
+        
+        source.start(startTime, offset);
+        if (!loop && region.end < sound.buffer.duration) {
+            source.stop(startTime + (region.end - offset) / activeSound.playbackRate);
         }
+        
+        activeSound.source = source;
+        activeSound.gainNode = gainNode;
+        activeSound.effectChain = effectChain;
+        activeSound.paused = false;
+        activeSound.startTime = startTime;
+        activeSound.startOffset = offset;
+        
+        source.onended = () => {
+            if (this.activeSources.get(sourceId) !== activeSound) return;
+            if (activeSound.source !== source || activeSound.paused) return;
+            
+            this.activeSources.delete(sourceId);
+            if (this.onSourceEnded) {
+                this.onSourceEnded(sourceId, activeSound.soundId);
+            }
+            this.updateDucking();
+            this.notifyActiveCountChange();
+        };
     }
 
-    pauseSound(sourceId) {
-        const activeSound = this.activeSources.get(sourceId);
-        if (activeSound && !activeSound.paused) {
-            activeSound.paused = true;
-            activeSound.pausedTime = this.audioContext.currentTime - activeSound.startTime;
-            activeSound.source.stop();
-        }
+    releaseSource(activeSound, when = 0) {
+        try {
+            activeSound.source.stop(when);
+        } catch (e) {}
     }
 
-    resumeSound(sourceId) {
+    stopSound(sourceId, fadeOut = null, when = null) {
         const activeSound = this.activeSources.get(sourceId);
-        if (activeSound && activeSound.paused) {
+        if (activeSound) {
             const sound = this.sounds.get(activeSound.soundId);
-            const newSource = this.audioContext.createBufferSource();
-            const gainNode = this.audioContext.createGain();
-            
-            newSource.buffer = sound.buffer;
-            newSource.loop = sound.loop;
-            
-            gainNode.gain.value = sound.volume * this.masterVolume;
+            const fadeTime = activeSound.paused ? 0 : (fadeOut ?? (sound ? sound.fadeOut : 0));
+            const stopTime = when ?? this.audioContext.currentTime;
             
-            newSource.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            newSource.start(0, activeSound.pausedTime % sound.buffer.duration);
-            
-            activeSound.source = newSource;
-            activeSound.gainNode = gainNode;
-            activeSound.paused = false;
-            activeSound.startTime = this.audioContext.currentTime - activeSound.pausedTime;
-            
-            if (!sound.loop) {
-                newSource.onended = () => {
-                    this.activeSources.delete(sourceId);
-                    updateActiveCount();
-                };
+            if (fadeTime > 0) {
+                this.rampGain(activeSound.gainNode, activeSound.gainNode.gain.value, 0, fadeTime, stopTime);
+                this.releaseSource(activeSound, stopTime + fadeTime);
+            } else {
+                this.releaseSource(activeSound, when ?? 0);
             }
+            this.activeSources.delete(sourceId);
+            this.updateDucking();
+            this.notifyActiveCountChange();
         }
     }
 
-    setVolume(sourceId, volume) {
+    pauseSound(sourceId, fadeOut = 0) {
         const activeSound = this.activeSources.get(sourceId);
-        if (activeSound) {
-            const sound = this.sounds.get(activeSound.soundId);
-            sound.volume = volume;
-            if (activeSound.gainNode) {
-                activeSound.gainNode.gain.value = volume * this.masterVolume;
+        if (activeSound && !activeSound.paused) {
+            const stopTime = this.audioContext.currentTime + fadeOut;
+            activeSound.pausedTime = this.getPositionAt(activeSound, stopTime);
+            activeSound.pendingDelay = Math.max(0, activeSound.startTime - stopTime);
+            activeSound.paused = true;
+            
+            if (fadeOut > 0) {
+                this.rampGain(activeSound.gainNode, activeSound.gainNode.gain.value, 0, fadeOut);
             }
+            this.releaseSource(activeSound, stopTime);
+            this.updateDucking();
         }
     }
 
-    setLoop(id, loop) {
-        if (this.sounds.has(id)) {
-            const sound = this.sounds.get(id);
-            sound.loop = loop;
-            
-            this.activeSources.forEach((activeSound, sourceId) => {
-                if (activeSound.soundId === id && activeSound.source) {
-                    activeSound.source.loop = loop;
-                }
-            });
-            
-            return true;
+    resumeSound(sourceId, fadeIn = 0) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (activeSound && activeSound.paused) {
+            const when = activeSound.pendingDelay > 0 ? this.audioContext.currentTime + activeSound.pendingDelay : null;
+            this.startSource(sourceId, activeSound.pausedTime, fadeIn, when);
+            this.updateDucking();
         }
-        return false;
     }
 
-    createFolder(name, color = '#6c5ce7', icon = '📁') {
-        const folderId = `folder_${this.nextFolderId++}`;
-        this.folders.set(folderId, {
-            id: folderId,
-            name: name,
-            color: color,
-            icon: icon
-        });
-        return folderId;
-    }
-
-    updateFolder(folderId, updates) {
-        if (this.folders.has(folderId)) {
-            const folder = this.folders.get(folderId);
-            Object.assign(folder, updates);
-            return true;
+    seekSound(sourceId, position) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (!activeSound) return false;
+        
+        const region = this.getSourceRegion(activeSound);
+        position = Math.max(region.start, Math.min(position, region.end));
+        
+        if (activeSound.paused) {
+            activeSound.pausedTime = position;
+        } else {
+            const oldSource = activeSound.source;
+            this.startSource(sourceId, position);
+            try {
+                oldSource.stop();
+            } catch (e) {}
         }
-        return false;
+        return true;
     }
 
-    deleteFolder(folderId) {
-        if (folderId === 'default') return false;
+    getPositionAt(activeSound, time) {
+        if (activeSound.paused) return activeSound.pausedTime;
         
-        this.folders.delete(folderId);
+        const region = this.getSourceRegion(activeSound);
+        const position = activeSound.startOffset + Math.max(0, time - activeSound.startTime) * activeSound.playbackRate;
         
-        this.sounds.forEach((sound, soundId) => {
-            if (sound.folderId === folderId) {
-                sound.folderId = 'default';
-            }
-        });
+        if (!activeSound.source.loop) return Math.min(position, region.end);
+        if (position < region.loopEnd) return position;
+        return region.loopStart + (position - region.loopStart) % (region.loopEnd - region.loopStart);
+    }
+
+    getRegion(sound, override = null) {
+        const duration = sound.buffer ? sound.buffer.duration : (sound.duration || 0);
+        const region = { ...sound.region, ...override };
         
-        return true;
+        const start = Number.isFinite(region.start) ? Math.min(Math.max(0, region.start), duration) : 0;
+        const end = Number.isFinite(region.end) && region.end > start ? Math.min(region.end, duration) : duration;
+        const loopStart = Number.isFinite(region.loopStart) && region.loopStart >= start && region.loopStart < end
+            ? region.loopStart : start;
+        const loopEnd = Number.isFinite(region.loopEnd) && region.loopEnd > loopStart && region.loopEnd <= end
+            ? region.loopEnd : end;
+        
+        return { start, end, loopStart, loopEnd };
     }
 
-    getSoundsByFolder(folderId) {
-        const folderSounds = [];
-        this.sounds.forEach((sound, soundId) => {
-            if (sound.folderId === folderId) {
-                folderSounds.push({
-                    id: soundId,
-                    ...sound
-                });
-            }
-        });
-        return folderSounds;
+    getSourceRegion(activeSound) {
+        return this.getRegion(this.sounds.get(activeSound.soundId), activeSound.region);
     }
 
-    getActiveSoundsByFolder(folderId) {
-        const activeFolderSounds = [];
-        this.activeSources.forEach((activeSound, sourceId) => {
-            if (activeSound.folderId === folderId) {
-                activeFolderSounds.push({
-                    sourceId: sourceId,
-                    ...activeSound
-                });
-            }
-        });
-        return activeFolderSounds;
+    getPlaybackRate(playback) {
+        return playback.rate * Math.pow(2, playback.detune / 1200);
     }
 
-    stopAll() {
-        this.activeSources.forEach((_, sourceId) => {
-            this.stopSound(sourceId);
-        });
+    getRandomRateScale(playback) {
+        if (!playback.variation) return 1;
+        
+        const semitones = (Math.random() * 2 - 1) * playback.variation;
+        return Math.pow(2, semitones / 12);
     }
 
-    pauseAll() {
+    setSoundPlayback(id, playback) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
+        
+        const merged = { ...this.getDefaultSoundSettings().playback, ...sound.playback, ...playback };
+        sound.playback = {
+            rate: Math.max(0.25, Math.min(4, merged.rate || 1)),
+            detune: Math.max(-1200, Math.min(1200, merged.detune || 0)),
+            variation: Math.max(0, Math.min(12, merged.variation || 0))
+        };
+        
+        const now = this.audioContext.currentTime;
         this.activeSources.forEach((activeSound, sourceId) => {
+            if (activeSound.soundId !== id) return;
+            
+            const position = this.getPositionAt(activeSound, now);
+            activeSound.playbackRate = this.getPlaybackRate(sound.playback) * activeSound.rateScale;
             if (!activeSound.paused) {
-                this.pauseSound(sourceId);
+                this.restartSource(sourceId, position);
             }
         });
+        return true;
+    }
+
+    hasCustomRegion(id) {
+        const sound = this.sounds.get(id);
+        if (!sound || !sound.buffer) return false;
+        
+        const region = this.getRegion(sound);
+        return region.start > 0 || region.end < sound.buffer.duration ||
+            region.loopStart > region.start || region.loopEnd < region.end;
     }
 
-    resumeAll() {
+    setSoundRegion(id, region) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
+        
+        sound.region = { ...this.getDefaultSoundSettings().region, ...region };
         this.activeSources.forEach((activeSound, sourceId) => {
+            if (activeSound.soundId !== id || activeSound.region) return;
+            
             if (activeSound.paused) {
-                this.resumeSound(sourceId);
+                const resolved = this.getSourceRegion(activeSound);
+                activeSound.pausedTime = Math.max(resolved.start, Math.min(activeSound.pausedTime, resolved.end));
+            } else {
+                this.restartSource(sourceId);
             }
         });
+        return true;
     }
 
-    syncAll() {
-        const currentTime = this.audioContext.currentTime;
-        this.activeSources.forEach((activeSound, sourceId) => {
-            this.stopSound(sourceId);
-            setTimeout(() => {
-                this.playSound(activeSound.soundId);
-            }, 100);
-        });
+    restartSource(sourceId, position = null) {
+        const activeSound = this.activeSources.get(sourceId);
+        const oldSource = activeSound.source;
+        this.startSource(sourceId, position ?? this.getPositionAt(activeSound, this.audioContext.currentTime));
+        try {
+            oldSource.stop();
+        } catch (e) {}
     }
 
-    getActiveCount() {
-        return this.activeSources.size;
+    getPlaybackPosition(sourceId) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (!activeSound) return 0;
+        
+        return this.getPositionAt(activeSound, this.audioContext.currentTime);
     }
 
-    resumeAudioContext() {
-        if (this.audioContext.state === 'suspended') {
-            this.audioContext.resume();
-        }
+    getRemainingTime(sourceId) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (!activeSound || activeSound.source.loop) return Infinity;
+        
+        const region = this.getSourceRegion(activeSound);
+        return (region.end - this.getPlaybackPosition(sourceId)) / activeSound.playbackRate;
     }
-}
 
-class SoundboardApp {
-    constructor() {
-        this.audioEngine = new AudioEngine();
-        this.loadedSounds = new Map();
-        this.activeSounds = new Map();
-        this.soundCounter = 0;
-        this.selectedFolder = 'default';
-        this.editMode = false;
-        this.init();
+    isPaused(sourceId) {
+        const activeSound = this.activeSources.get(sourceId);
+        return !!activeSound && activeSound.paused;
     }
 
-    init() {
-        this.bindEvents();
+    setVolume(sourceId, volume) {
+        const activeSound = this.activeSources.get(sourceId);
+        return !!activeSound && this.setSoundVolume(activeSound.soundId, volume);
+    }
+
+    setSoundVolume(id, volume) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
+        
+        sound.volume = volume;
+        this.activeSources.forEach((activeSound) => {
+            if (activeSound.soundId === id && activeSound.gainNode) {
+                this.setGain(activeSound.gainNode, volume * activeSound.gainScale);
+            }
+        });
+        return true;
+    }
+
+    getDefaultDucking() {
+        return {
+            amount: 0.6,
+            talkOverAmount: 0.8,
+            attack: 0.2,
+            release: 1
+        };
+    }
+
+    getSoundRole(id) {
+        const sound = this.sounds.get(id);
+        if (!sound) return 'none';
+        if (sound.role !== 'folder') return sound.role;
+        
+        const folder = this.folders.get(sound.folderId);
+        return (folder && folder.role) || 'none';
+    }
+
+    setSoundRole(id, role) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
+        
+        sound.role = role;
+        this.updateDucking();
+        return true;
+    }
+
+    setDucking(settings) {
+        this.ducking = { ...this.ducking, ...settings };
+        this.updateDucking();
+    }
+
+    setTalkOver(active) {
+        this.talkOver = active;
+        this.updateDucking();
+    }
+
+    getDuckLevel(activeSound, effectsPlaying) {
+        if (this.talkOver) return 1 - this.ducking.talkOverAmount;
+        if (effectsPlaying && this.getSoundRole(activeSound.soundId) === 'music') return 1 - this.ducking.amount;
+        return 1;
+    }
+
+    updateDucking() {
+        let effectsPlaying = false;
+        this.activeSources.forEach((activeSound) => {
+            if (!activeSound.paused && this.getSoundRole(activeSound.soundId) === 'effects') {
+                effectsPlaying = true;
+            }
+        });
+        
+        this.activeSources.forEach((activeSound) => {
+            const level = this.getDuckLevel(activeSound, effectsPlaying);
+            if (level === activeSound.duckLevel) return;
+            
+            if (activeSound.duckLevel === null) {
+                activeSound.duckNode.gain.value = level;
+            } else {
+                const duration = level < activeSound.duckLevel ? this.ducking.attack : this.ducking.release;
+                this.rampGain(activeSound.duckNode, activeSound.duckNode.gain.value, level, duration);
+            }
+            activeSound.duckLevel = level;
+        });
+    }
+
+    getImpulseResponse(type) {
+        if (!this.impulseResponses.has(type)) {
+            this.impulseResponses.set(type, EffectChain.createImpulseResponse(this.audioContext, type));
+        }
+        return this.impulseResponses.get(type);
+    }
+
+    setSoundEffect(id, key, value) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
+        
+        sound.effects = { ...sound.effects, [key]: value };
+        this.activeSources.forEach((activeSound) => {
+            if (activeSound.soundId === id && activeSound.effectChain) {
+                activeSound.effectChain.apply(sound.effects);
+            }
+        });
+        return true;
+    }
+
+    // Громкость одного воспроизведения относительно громкости звука; настройки звука не меняются
+    rampSourceGain(sourceId, gainScale, duration = 0, when = null) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (!activeSound || !activeSound.gainNode) return false;
+        
+        const startAt = when ?? this.audioContext.currentTime;
+        const target = this.sounds.get(activeSound.soundId).volume * gainScale;
+        activeSound.gainScale = gainScale;
+        if (duration > 0) {
+            this.rampGain(activeSound.gainNode, activeSound.gainNode.gain.value, target, duration, startAt);
+        } else {
+            activeSound.gainNode.gain.cancelScheduledValues(startAt);
+            activeSound.gainNode.gain.setValueAtTime(target, startAt);
+        }
+        return true;
+    }
+
+    setLoop(id, loop) {
+        if (this.sounds.has(id)) {
+            const sound = this.sounds.get(id);
+            sound.loop = loop;
+            
+            this.activeSources.forEach((activeSound, sourceId) => {
+                if (activeSound.soundId === id && !activeSound.oneShot && activeSound.loop === null) {
+                    this.applySourceLoop(sourceId, loop);
+                }
+            });
+            
+            return true;
+        }
+        return false;
+    }
+
+    // Зацикливание одного воспроизведения поверх настройки звука
+    setSourceLoop(sourceId, loop) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (!activeSound) return false;
+        
+        activeSound.loop = loop;
+        this.applySourceLoop(sourceId, loop);
+        return true;
+    }
+
+    applySourceLoop(sourceId, loop) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (!activeSound.source) return;
+        
+        if (!activeSound.paused && this.hasCustomRegion(activeSound.soundId)) {
+            this.restartSource(sourceId);
+            return;
+        }
+        if (!activeSound.paused) {
+            const now = this.audioContext.currentTime;
+            activeSound.startOffset = this.getPositionAt(activeSound, now);
+            activeSound.startTime = now;
+        }
+        activeSound.source.loop = loop;
+    }
+
+    startRandom(id) {
+        const sound = this.sounds.get(id);
+        if (!sound || this.randomSchedulers.has(id)) return false;
+        
+        this.randomSchedulers.set(id, {
+            soundId: id,
+            timer: null,
+            dueTime: 0,
+            remaining: 0,
+            paused: false,
+            sourceIds: new Set()
+        });
+        this.scheduleRandom(id, this.getRandomInterval(sound.random));
+        this.notifyActiveCountChange();
+        return true;
+    }
+
+    getRandomInterval(random) {
+        const min = Math.max(0.5, random.minInterval || 0);
+        const max = Math.max(min, random.maxInterval || 0);
+        return min + Math.random() * (max - min);
+    }
+
+    getRandomPool(id) {
+        const sound = this.sounds.get(id);
+        if (sound.random.pool === 'folder') {
+            return this.getSoundsByFolder(sound.folderId).map((folderSound) => folderSound.id);
+        }
+        return [id];
+    }
+
+    scheduleRandom(id, delay) {
+        const scheduler = this.randomSchedulers.get(id);
+        scheduler.dueTime = Date.now() + delay * 1000;
+        scheduler.timer = setTimeout(() => this.fireRandom(id), delay * 1000);
+    }
+
+    async fireRandom(id) {
+        const scheduler = this.randomSchedulers.get(id);
+        const sound = this.sounds.get(id);
+        if (!scheduler || scheduler.paused || !sound) return;
+        
+        const random = sound.random;
+        const pool = this.getRandomPool(id);
+        const pickedId = pool[Math.floor(Math.random() * pool.length)];
+        this.scheduleRandom(id, this.getRandomInterval(random));
+        
+        scheduler.sourceIds.forEach((sourceId) => {
+            if (!this.activeSources.has(sourceId)) scheduler.sourceIds.delete(sourceId);
+        });
+        
+        if (!pickedId || !await this.ensureBuffer(pickedId)) return;
+        if (this.randomSchedulers.get(id) !== scheduler || scheduler.paused) return;
+        
+        const pitchVariation = (Math.random() * 2 - 1) * (random.pitchVariation || 0);
+        const sourceId = this.playSound(pickedId, {
+            oneShot: true,
+            randomId: id,
+            gainScale: 1 - Math.random() * Math.min(1, random.volumeVariation || 0),
+            playbackRate: Math.pow(2, pitchVariation / 12)
+        });
+        if (sourceId) {
+            scheduler.sourceIds.add(sourceId);
+        }
+    }
+
+    stopRandom(id, fadeOut = null) {
+        const scheduler = this.randomSchedulers.get(id);
+        if (!scheduler) return false;
+        
+        clearTimeout(scheduler.timer);
+        this.randomSchedulers.delete(id);
+        scheduler.sourceIds.forEach((sourceId) => this.stopSound(sourceId, fadeOut));
+        this.notifyActiveCountChange();
+        return true;
+    }
+
+    pauseRandom(id) {
+        const scheduler = this.randomSchedulers.get(id);
+        if (!scheduler || scheduler.paused) return false;
+        
+        clearTimeout(scheduler.timer);
+        scheduler.remaining = Math.max(0, scheduler.dueTime - Date.now()) / 1000;
+        scheduler.paused = true;
+        return true;
+    }
+
+    resumeRandom(id) {
+        const scheduler = this.randomSchedulers.get(id);
+        if (!scheduler || !scheduler.paused) return false;
+        
+        scheduler.paused = false;
+        this.scheduleRandom(id, scheduler.remaining);
+        return true;
+    }
+
+    isRandomPaused(id) {
+        const scheduler = this.randomSchedulers.get(id);
+        return !!scheduler && scheduler.paused;
+    }
+
+    createFolder(name, color = '#6c5ce7', icon = '📁', parentId = null) {
+        const folderId = `folder_${this.nextFolderId++}`;
+        const validParentId = this.folders.has(parentId) && parentId !== 'default' ? parentId : null;
+        const siblings = this.getChildFolders(validParentId);
+        
+        this.folders.set(folderId, {
+            id: folderId,
+            name: name,
+            color: color,
+            icon: icon,
+            volume: 1.0,
+            muted: false,
+            parentId: validParentId,
+            order: siblings.length > 0 ? (siblings[siblings.length - 1].order ?? 0) + 1 : 0
+        });
+        return folderId;
+    }
+
+    getChildFolders(parentId) {
+        const children = [];
+        this.folders.forEach((folder, folderId) => {
+            if (folderId !== 'default' && (folder.parentId ?? null) === parentId) {
+                children.push(folder);
+            }
+        });
+        return children.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    }
+
+    getFolderTree() {
+        const tree = [];
+        if (this.folders.has('default')) {
+            tree.push({ folder: this.folders.get('default'), depth: 0 });
+        }
+        
+        const visit = (parentId, depth) => {
+            this.getChildFolders(parentId).forEach((folder) => {
+                tree.push({ folder, depth });
+                visit(folder.id, depth + 1);
+            });
+        };
+        visit(null, 0);
+        return tree;
+    }
+
+    getFolderDescendants(folderId) {
+        const descendants = [];
+        this.getChildFolders(folderId).forEach((folder) => {
+            descendants.push(folder.id, ...this.getFolderDescendants(folder.id));
+        });
+        return descendants;
+    }
+
+    moveFolder(folderId, parentId = null, beforeId = null) {
+        if (folderId === 'default' || !this.folders.has(folderId)) return [];
+        if (parentId !== null && (!this.folders.has(parentId) || parentId === 'default')) return [];
+        if (parentId === folderId || this.getFolderDescendants(folderId).includes(parentId)) return [];
+        
+        const folder = this.folders.get(folderId);
+        folder.parentId = parentId;
+        
+        const siblings = this.getChildFolders(parentId).filter((sibling) => sibling.id !== folderId);
+        const index = siblings.findIndex((sibling) => sibling.id === beforeId);
+        siblings.splice(index < 0 ? siblings.length : index, 0, folder);
+        siblings.forEach((sibling, order) => {
+            sibling.order = order;
+        });
+        
+        return siblings.map((sibling) => sibling.id);
+    }
+
+    updateFolder(folderId, updates) {
+        if (this.folders.has(folderId)) {
+            const folder = this.folders.get(folderId);
+            Object.assign(folder, updates);
+            return true;
+        }
+        return false;
+    }
+
+    deleteFolder(folderId) {
+        if (folderId === 'default' || !this.folders.has(folderId)) return false;
+        
+        const parentId = this.folders.get(folderId).parentId ?? null;
+        this.getChildFolders(folderId).forEach((child) => {
+            child.parentId = parentId;
+        });
+        this.folders.delete(folderId);
+        
+        this.sounds.forEach((sound, soundId) => {
+            if (sound.folderId === folderId) {
+                this.moveSound(soundId, 'default');
+            }
+        });
+        
+        const bus = this.folderBuses.get(folderId);
+        if (bus) {
+            bus.gainNode.disconnect();
+            this.folderBuses.delete(folderId);
+            this.applyBusGains();
+        }
+        
+        return true;
+    }
+
+    moveSound(id, folderId) {
+        const sound = this.sounds.get(id);
+        if (!sound || !this.folders.has(folderId)) return false;
+        if (sound.folderId === folderId) return true;
+        
+        sound.folderId = folderId;
+        sound.order = this.nextSoundOrder++;
+        
+        const bus = this.getFolderBus(folderId);
+        this.activeSources.forEach((activeSound) => {
+            if (activeSound.soundId === id) {
+                activeSound.folderId = folderId;
+                activeSound.duckNode.disconnect();
+                activeSound.duckNode.connect(bus.gainNode);
+            }
+        });
+        this.updateDucking();
+        return true;
+    }
+
+    reorderSound(id, beforeId = null) {
+        const sound = this.sounds.get(id);
+        if (!sound || id === beforeId) return [];
+        
+        const folderSounds = this.getSoundsByFolder(sound.folderId).filter((folderSound) => folderSound.id !== id);
+        const index = folderSounds.findIndex((folderSound) => folderSound.id === beforeId);
+        folderSounds.splice(index < 0 ? folderSounds.length : index, 0, { id });
+        
+        const changedIds = [];
+        folderSounds.forEach((folderSound, order) => {
+            const target = this.sounds.get(folderSound.id);
+            if (target.order !== order) {
+                target.order = order;
+                changedIds.push(folderSound.id);
+            }
+        });
+        this.nextSoundOrder = Math.max(this.nextSoundOrder, folderSounds.length);
+        return changedIds;
+    }
+
+    getSoundsByFolder(folderId) {
+        const folderSounds = [];
+        this.sounds.forEach((sound, soundId) => {
+            if (sound.folderId === folderId) {
+                folderSounds.push({
+                    id: soundId,
+                    ...sound
+                });
+            }
+        });
+        return folderSounds.sort((a, b) => a.order - b.order);
+    }
+
+    searchSounds(query = '', tags = [], favoritesOnly = false) {
+        const needle = query.trim().toLowerCase();
+        const results = [];
+        this.getFolderTree().forEach(({ folder }) => {
+            this.getSoundsByFolder(folder.id).forEach((sound) => {
+                if (favoritesOnly && !sound.favorite) return;
+                if (needle && !sound.name.toLowerCase().includes(needle)) return;
+                if (!tags.every((tag) => sound.tags.includes(tag))) return;
+                results.push(sound);
+            });
+        });
+        return results;
+    }
+
+    getAllTags() {
+        const tags = new Set();
+        this.sounds.forEach((sound) => {
+            sound.tags.forEach((tag) => tags.add(tag));
+        });
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    }
+
+    setSoundTags(id, tags) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
+        
+        const normalized = tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+        sound.tags = Array.from(new Set(normalized));
+        return true;
+    }
+
+    getActiveSoundsByFolder(folderId) {
+        const activeFolderSounds = [];
+        this.activeSources.forEach((activeSound, sourceId) => {
+            if (activeSound.folderId === folderId) {
+                activeFolderSounds.push({
+                    sourceId: sourceId,
+                    ...activeSound
+                });
+            }
+        });
+        return activeFolderSounds;
+    }
+
+    crossfadeTo(id, duration = null) {
+        const sound = this.sounds.get(id);
+        if (!sound || !sound.buffer) return null;
+        
+        const fadeTime = duration ?? (sound.fadeIn || this.defaultCrossfade);
+        const stoppedSourceIds = [];
+        let sourceId = null;
+        
+        this.activeSources.forEach((activeSound, activeSourceId) => {
+            if (activeSound.soundId === id && !activeSound.paused) {
+                sourceId = activeSourceId;
+            } else if (activeSound.folderId === sound.folderId) {
+                stoppedSourceIds.push(activeSourceId);
+            }
+        });
+        stoppedSourceIds.forEach((activeSourceId) => this.stopSound(activeSourceId, fadeTime));
+        
+        if (!sourceId) {
+            sourceId = this.playSound(id, { fadeIn: fadeTime });
+        }
+        return { sourceId, stoppedSourceIds };
+    }
+
+    stopAll(fadeOut = 0) {
+        this.randomSchedulers.forEach((_, id) => {
+            this.stopRandom(id, fadeOut);
+        });
+        this.activeSources.forEach((_, sourceId) => {
+            this.stopSound(sourceId, fadeOut);
+        });
+        this.voice.stop();
+    }
+
+    pauseAll(fadeOut = 0) {
+        this.randomSchedulers.forEach((_, id) => {
+            this.pauseRandom(id);
+        });
+        this.activeSources.forEach((activeSound, sourceId) => {
+            if (!activeSound.paused) {
+                this.pauseSound(sourceId, fadeOut);
+            }
+        });
+    }
+
+    resumeAll(fadeIn = 0) {
+        this.randomSchedulers.forEach((_, id) => {
+            this.resumeRandom(id);
+        });
+        this.activeSources.forEach((activeSound, sourceId) => {
+            if (activeSound.paused) {
+                this.resumeSound(sourceId, fadeIn);
+            }
+        });
+    }
+
+    getNextLoopBoundary(sourceId, notBefore) {
+        const activeSound = this.activeSources.get(sourceId);
+        if (!activeSound || activeSound.paused || !activeSound.source.loop) return null;
+        
+        const region = this.getSourceRegion(activeSound);
+        const loopTime = (region.loopEnd - region.loopStart) / activeSound.playbackRate;
+        const now = this.audioContext.currentTime;
+        let boundary = now + (region.loopEnd - this.getPositionAt(activeSound, now)) / activeSound.playbackRate;
+        while (boundary < notBefore) {
+            boundary += loopTime;
+        }
+        return boundary;
+    }
+
+    syncAll(leaderSourceId = null, sourceIds = null) {
+        const syncTime = this.audioContext.currentTime + this.syncLookahead;
+        const leaderBoundary = leaderSourceId ? this.getNextLoopBoundary(leaderSourceId, syncTime) : null;
+        const startTime = leaderBoundary ?? syncTime;
+        const syncedSourceIds = [];
+        
+        this.activeSources.forEach((activeSound, sourceId) => {
+            if (activeSound.paused || activeSound.oneShot) return;
+            if (sourceIds && !sourceIds.includes(sourceId)) return;
+            if (leaderBoundary !== null && sourceId === leaderSourceId) return;
+            
+            const oldSource = activeSound.source;
+            this.startSource(sourceId, 0, 0, startTime);
+            
+            try {
+                oldSource.stop(startTime);
+            } catch (e) {}
+            syncedSourceIds.push(sourceId);
+        });
+        
+        return {
+            startTime,
+            syncedSourceIds,
+            leaderSourceId: leaderBoundary !== null ? leaderSourceId : null
+        };
+    }
+
+    // Срабатывание случайного режима уже учтено его планировщиком
+    getActiveCount() {
+        let count = this.randomSchedulers.size + (this.voice.isActive() ? 1 : 0);
+        this.activeSources.forEach((activeSound) => {
+            if (!this.randomSchedulers.has(activeSound.randomId)) count++;
+        });
+        return count;
+    }
+
+    notifyActiveCountChange() {
+        if (this.onActiveCountChange) {
+            this.onActiveCountChange(this.getActiveCount());
+        }
+    }
+
+    resumeAudioContext() {
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+}
+
+class SoundboardApp {
+    constructor() {
+        this.audioEngine = new AudioEngine();
+        this.storage = new SoundStorage();
+        this.loadedSounds = new Map();
+        this.activeSounds = new Map();
+        this.sceneManager = new SceneManager(this);
+        this.sequencer = new CueSequencer(this);
+        this.sequencer.onChange = (sequenceId) => this.updateSequenceState(sequenceId);
+        this.playlists = new PlaylistManager(this);
+        this.waveformEditor = new WaveformEditor(this);
+        this.recorder = new SessionRecorder(this.audioEngine);
+        this.recordingTimer = null;
+        this.remote = new RemoteControl(this);
+        this.updateRequested = false;
+        this.hotkeys = new HotkeyManager(this);
+        this.bundleManager = new BundleManager(this);
+        this.uploads = new UploadQueue(this);
+        this.uploads.onChange = (item) => this.renderUploadQueue(item);
+        this.soundCounter = 0;
+        this.selectedFolder = 'default';
+        this.editingScene = null;
+        this.editingSequence = null;
+        this.editingFolder = null;
+        this.syncSelection = new Set();
+        this.folderIcons = ['📁', '🏰', '⚔️', '🌲', '🍺', '🐉', '🌊', '🔥', '👻', '🕯️', '⛈️', '🎵', '🗺️', '💀', '✨', '🏔️'];
+        this.globalFade = 0;
+        this.scrubbingSound = null;
+        this.expandedEffects = new Set();
+        this.soundCards = new KeyedRenderer(document.getElementById('soundboard'), {
+            getKey: (sound) => sound.id,
+            getSignature: (sound) => this.getSoundCardSignature(sound),
+            create: (sound) => this.createSoundCard(sound),
+            update: (card, sound) => this.patchSoundCard(card, sound.id)
+        });
+        this.folderItems = new KeyedRenderer(document.getElementById('folderPanel'), {
+            getKey: (item) => item.folder.id,
+            getSignature: (item) => this.getFolderItemSignature(item),
+            create: (item) => this.createFolderItem(item),
+            update: (folderElement, item) => this.patchFolderItem(folderElement, item.folder.id)
+        });
+        this.uploadItems = new KeyedRenderer(document.getElementById('uploadQueueList'), {
+            getKey: (item) => item.id,
+            getSignature: (item) => this.getUploadItemSignature(item),
+            create: (item) => this.createUploadItem(item),
+            update: (row, item) => this.patchUploadItem(row, item)
+        });
+        this.searchQuery = '';
+        this.activeTags = new Set();
+        this.editMode = false;
+        this.audioEngine.onSourceEnded = (sourceId, soundId) => this.handleSourceEnded(sourceId, soundId);
+        this.audioEngine.onActiveCountChange = (count) => this.updateActiveCount(count);
+        this.init();
+    }
+
+    async init() {
+        this.bindEvents();
+        this.renderFolderPanel();
+        this.renderScenePanel();
+        this.renderSequencePanel();
+        this.renderSoundboard();
+        this.renderMixerPanel();
+        this.startLevelMeters();
+        this.startProgressUpdates();
+        this.checkAudioContext();
+        await this.restoreLibrary();
+        this.remote.start();
+        this.bindLaunchQueue();
+        await this.importSharedFiles();
+    }
+
+    async restoreLibrary() {
+        try {
+            const [folders, sounds, scenes, sequences, nextFolderId, globalFade, masterVolume, remoteRelayUrl, ducking, voice] = await Promise.all([
+                this.storage.loadFolders(),
+                this.storage.loadSounds(),
+                this.storage.loadScenes(),
+                this.storage.loadSequences(),
+                this.storage.loadMeta('nextFolderId'),
+                this.storage.loadMeta('globalFade'),
+                this.storage.loadMeta('masterVolume'),
+                this.storage.loadMeta('remoteRelayUrl'),
+                this.storage.loadMeta('ducking'),
+                this.storage.loadMeta('voice')
+            ]);
+            
+            folders.forEach((folder) => {
+                this.audioEngine.folders.set(folder.id, folder);
+            });
+            this.audioEngine.applyBusGains();
+            if (masterVolume !== undefined) {
+                this.audioEngine.setMasterVolume(masterVolume);
+            }
+            if (nextFolderId) {
+                this.audioEngine.nextFolderId = nextFolderId;
+            }
+            if (remoteRelayUrl) {
+                this.remote.connectRelay(remoteRelayUrl);
+            }
+            if (globalFade) {
+                this.globalFade = globalFade;
+                document.getElementById('globalFade').value = globalFade;
+            }
+            if (ducking) {
+                this.audioEngine.setDucking(ducking);
+            }
+            if (voice) {
+                this.audioEngine.voice.applySettings(voice);
+            }
+            document.getElementById('duckAmount').value = this.audioEngine.ducking.amount;
+            document.getElementById('talkOverAmount').value = this.audioEngine.ducking.talkOverAmount;
+            
+            sounds.forEach((settings) => {
+                const soundId = settings.id;
+                this.audioEngine.registerSound(soundId, settings, () => this.storage.loadFile(soundId));
+                this.loadedSounds.set(soundId, {
+                    id: soundId,
+                    name: settings.name.replace(/\.[^/.]+$/, ""),
+                    file: null,
+                    folderId: this.audioEngine.sounds.get(soundId).folderId
+                });
+            });
+            
+            this.sceneManager.restoreScenes(scenes);
+            this.sequencer.restoreSequences(sequences);
+            const releasedKeys = this.hotkeys.releaseReservedKeys();
+            
+            if (this.selectedFolder !== 'favorites' && !this.audioEngine.folders.has(this.selectedFolder)) {
+                this.selectedFolder = 'default';
+            }
+            
+            this.renderFolderPanel();
+            this.renderScenePanel();
+            this.renderSequencePanel();
+            this.renderSoundboard();
+            this.renderMixerPanel();
+            
+            if (releasedKeys.length > 0) {
+                this.updateStatus(`Клавиши зарезервированы и сняты: ${releasedKeys.join('; ')}`);
+            } else if (sounds.length > 0) {
+                this.updateStatus(`Восстановлено ${sounds.length} трек(ов) из библиотеки`);
+            }
+        } catch (error) {
+            console.error('Ошибка восстановления библиотеки:', error);
+            this.updateStatus('Не удалось восстановить сохраненную библиотеку');
+        }
+    }
+
+    async persist(operation) {
+        try {
+            await operation();
+            return true;
+        } catch (error) {
+            if (SoundStorage.isQuotaError(error)) {
+                this.updateStatus('Недостаточно места в хранилище браузера: изменения не сохранены');
+            } else {
+                console.error('Ошибка сохранения библиотеки:', error);
+                this.updateStatus('Не удалось сохранить изменения библиотеки');
+            }
+            return false;
+        }
+    }
+
+    saveSoundSettings(soundId) {
+        const settings = this.audioEngine.getSoundSettings(soundId);
+        if (!settings) return Promise.resolve(false);
+        return this.persist(() => this.storage.updateSound(soundId, settings));
+    }
+
+    saveFolder(folderId) {
+        const folder = this.audioEngine.folders.get(folderId);
+        if (!folder) return Promise.resolve(false);
+        return this.persist(async () => {
+            await this.storage.saveFolder(folder);
+            await this.storage.saveMeta('nextFolderId', this.audioEngine.nextFolderId);
+        });
+    }
+
+    bindEvents() {
+        document.getElementById('uploadBtn').addEventListener('click', () => this.uploadTracks());
+        document.getElementById('uploadCancelBtn').addEventListener('click', () => this.toggleUploadQueue());
+        document.getElementById('syncAll').addEventListener('click', () => this.syncAll());
+        document.getElementById('syncLeader').addEventListener('focus', () => this.renderSyncLeaderOptions());
+        document.getElementById('pauseAll').addEventListener('click', () => this.togglePauseAll());
+        document.getElementById('stopAll').addEventListener('click', () => this.stopAll());
+        document.getElementById('addFolderBtn').addEventListener('click', () => this.openFolderDialog());
+        document.getElementById('toggleEditBtn').addEventListener('click', () => this.toggleEditMode());
+        document.getElementById('saveSceneBtn').addEventListener('click', () => this.showSaveSceneDialog());
+        document.getElementById('addSequenceBtn').addEventListener('click', () => this.showCreateSequenceDialog());
+        document.getElementById('globalFade').addEventListener('change', (e) => this.setGlobalFade(e.target.value));
+        document.getElementById('duckAmount').addEventListener('change', (e) => this.setDucking('amount', e.target.value));
+        document.getElementById('talkOverAmount').addEventListener('change', (e) => this.setDucking('talkOverAmount', e.target.value));
+        document.getElementById('talkOverBtn').addEventListener('click', () => this.setTalkOver(!this.audioEngine.talkOver));
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportBundle());
+        document.getElementById('importBtn').addEventListener('click', () => document.getElementById('bundleInput').click());
+        document.getElementById('bundleInput').addEventListener('change', () => this.importBundle());
+        document.getElementById('remoteBtn').addEventListener('click', () => this.configureRemote());
+        document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+        document.getElementById('recordPauseBtn').addEventListener('click', () => this.toggleRecordingPause());
+        this.bindDropTarget(document.getElementById('soundboard'), null, null);
+        document.getElementById('librarySearch').addEventListener('input', (e) => {
+            this.searchQuery = e.target.value;
+            this.renderSoundboard();
+        });
+        this.bindFolderDialog();
+        this.waveformEditor.bind();
+        this.hotkeys.bind();
+        
+        document.addEventListener('click', () => {
+            this.audioEngine.resumeAudioContext();
+        });
+    }
+
+    async uploadTracks() {
+        const fileInput = document.querySelector('.file-input');
+        const files = Array.from(fileInput.files);
+        
+        if (files.length === 0) {
+            this.updateStatus('Пожалуйста, сначала выберите аудиофайлы');
+            return;
+        }
+        
+        await this.uploadFiles(files, this.getTargetFolderId());
+        fileInput.value = '';
+    }
+
+    async uploadFiles(files, folderId) {
+        this.updateStatus(`Загрузка ${files.length} трек(ов)...`);
+        const summary = await this.uploads.add(files, folderId);
+        
+        const parts = [`${summary.cancelled ? 'Загрузка отменена. ' : ''}Загружено ${summary.loadedCount} трек(ов)`];
+        if (summary.unsavedCount > 0) parts.push(`не сохранено в библиотеке ${summary.unsavedCount}`);
+        if (summary.duplicateCount > 0) parts.push(`пропущено дубликатов ${summary.duplicateCount}`);
+        if (summary.failures.length > 0) parts.push(`ошибок ${summary.failures.length}`);
+        this.updateStatus(parts.join(', '));
+        this.renderFolderPanel();
+        this.renderSoundboard();
+    }
+
+    renderUploadQueue(item = null) {
+        const panel = document.getElementById('uploadQueue');
+        const uploads = this.uploads;
+        const visibleItems = uploads.items.filter((queued) => uploads.running || queued.status !== 'done');
+        
+        panel.hidden = visibleItems.length === 0;
+        document.getElementById('uploadCancelBtn').textContent = uploads.running ? 'Отменить' : 'Скрыть';
+        document.getElementById('uploadQueueProgress').style.width = `${uploads.getProgress() * 100}%`;
+        this.uploadItems.render(visibleItems);
+        
+        if (item && item.status === 'done') {
+            this.renderFolderPanel();
+            this.renderSoundboard();
+        }
+    }
+
+    getUploadItemSignature(item) {
+        return JSON.stringify([item.status, item.reason, item.message, item.duplicateOf]);
+    }
+
+    createUploadItem(item) {
+        const statusLabels = {
+            queued: 'В очереди',
+            reading: 'Чтение',
+            hashing: 'Проверка',
+            checking: 'Сверка с библиотекой',
+            decoding: 'Декодирование',
+            saving: 'Сохранение',
+            done: 'Готово'
+        };
+        const row = document.createElement('div');
+        row.className = `upload-item ${item.status}`;
+        row.innerHTML = `
+            <span class="upload-item-name"></span>
+            <span class="upload-item-status"></span>
+            <div class="upload-item-bar"><div class="upload-item-fill"></div></div>
+        `;
+        row.querySelector('.upload-item-name').textContent = item.file.name;
+        row.querySelector('.upload-item-status').textContent = item.reason
+            ? this.uploads.getReasonText(item)
+            : statusLabels[item.status];
+        this.patchUploadItem(row, item);
+        return row;
+    }
+
+    patchUploadItem(row, item) {
+        row.querySelector('.upload-item-fill').style.width = `${item.progress * 100}%`;
+    }
+
+    toggleUploadQueue() {
+        if (this.uploads.cancel()) {
+            this.updateStatus('Отмена загрузки...');
+        } else {
+            this.uploads.items = [];
+            this.renderUploadQueue();
+        }
+    }
+
+    bindLaunchQueue() {
+        if (!('launchQueue' in window)) return;
+        
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+            
+            const files = await Promise.all(launchParams.files.map((handle) => handle.getFile()));
+            const audioFiles = files.filter((file) => this.isAudioFile(file));
+            if (audioFiles.length > 0) {
+                await this.uploadFiles(audioFiles, this.getTargetFolderId());
+            }
+        });
+    }
+
+    async importSharedFiles() {
+        const params = new URLSearchParams(location.search);
+        if (!params.has('shared') || !('caches' in window)) return;
+        
+        history.replaceState(null, '', location.pathname);
+        try {
+            const cache = await caches.open('dnd-soundboard-shared');
+            const requests = await cache.keys();
+            const files = [];
+            
+            for (const request of requests) {
+                const response = await cache.match(request);
+                const blob = await response.blob();
+                const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-audio');
+                files.push(new File([blob], name, { type: blob.type }));
+                await cache.delete(request);
+            }
+            
+            const audioFiles = files.filter((file) => this.isAudioFile(file));
+            if (audioFiles.length > 0) {
+                await this.uploadFiles(audioFiles, this.getTargetFolderId());
+            } else {
+                this.updateStatus('Среди полученных файлов нет аудио');
+            }
+        } catch (error) {
+            console.error('Ошибка получения файлов:', error);
+            this.updateStatus('Не удалось принять присланные файлы');
+        }
+    }
+
+    watchServiceWorker(registration) {
+        const banner = document.getElementById('updateBanner');
+        const showUpdate = (worker) => {
+            banner.hidden = false;
+            document.getElementById('updateReloadBtn').onclick = () => {
+                this.updateRequested = true;
+                worker.postMessage({ type: 'skipWaiting' });
+            };
+        };
+        
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdate(worker);
+                }
+            });
+        });
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) {
+                this.updateRequested = false;
+                location.reload();
+            }
+        });
+    }
+
+    isAudioFile(file) {
+        return file.type.startsWith('audio/') || /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)$/i.test(file.name);
+    }
+
+    async collectDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map((item) => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+        
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files);
+        }
+        
+        const files = [];
+        await Promise.all(entries.map((entry) => this.readDroppedEntry(entry, files)));
+        return files;
+    }
+
+    readDroppedEntry(entry, files) {
+        if (entry.isFile) {
+            return new Promise((resolve) => {
+                entry.file((file) => {
+                    files.push(file);
+                    resolve();
+                }, () => resolve());
+            });
+        }
+        
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            return new Promise((resolve) => {
+                const readBatch = () => {
+                    reader.readEntries(async (batch) => {
+                        if (batch.length === 0) {
+                            resolve();
+                            return;
+                        }
+                        await Promise.all(batch.map((child) => this.readDroppedEntry(child, files)));
+                        readBatch();
+                    }, () => resolve());
+                };
+                readBatch();
+            });
+        }
+        
+        return Promise.resolve();
+    }
+
+    async handleFileDrop(dataTransfer, folderId) {
+        const files = (await this.collectDroppedFiles(dataTransfer)).filter((file) => this.isAudioFile(file));
+        if (files.length === 0) {
+            this.updateStatus('Среди перетащенных файлов нет аудио');
+            return;
+        }
+        
+        await this.uploadFiles(files, folderId);
+    }
+
+    bindDropTarget(element, folderId, beforeSoundId = undefined) {
+        element.addEventListener('dragover', (e) => {
+            const types = Array.from(e.dataTransfer.types);
+            if (!types.includes('Files') && !types.includes('application/x-dnd-sound')) return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            element.classList.add('drop-target');
+        });
+        
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drop-target');
+        });
+        
+        element.addEventListener('drop', (e) => {
+            element.classList.remove('drop-target');
+            const soundId = e.dataTransfer.getData('application/x-dnd-sound');
+            const hasFiles = Array.from(e.dataTransfer.types).includes('Files');
+            if (!soundId && !hasFiles) return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            
+            const targetFolderId = folderId || this.getTargetFolderId();
+            if (soundId) {
+                this.dropSound(soundId, targetFolderId, beforeSoundId);
+            } else {
+                this.handleFileDrop(e.dataTransfer, targetFolderId);
+            }
+        });
+    }
+
+    dropSound(soundId, folderId, beforeSoundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!sound) return;
+        
+        if (sound.folderId !== folderId) {
+            this.moveSound(soundId, folderId);
+        }
+        if (beforeSoundId === undefined) return;
+        
+        const changedIds = this.audioEngine.reorderSound(soundId, beforeSoundId || null);
+        changedIds.forEach((changedId) => this.saveSoundSettings(changedId));
+        this.renderSoundboard();
+    }
+
+    moveSound(soundId, folderId) {
+        if (!this.audioEngine.moveSound(soundId, folderId)) return false;
+        
+        const loadedSound = this.loadedSounds.get(soundId);
+        if (loadedSound) loadedSound.folderId = folderId;
+        this.saveSoundSettings(soundId);
+        
+        const folder = this.audioEngine.folders.get(folderId);
+        this.updateStatus(`Звук перемещен в папку "${folder.name}"`);
+        this.renderFolderPanel();
+        this.renderSoundboard();
+        return true;
+    }
+
+    async addSound(file, folderId, settings = null, decoded = null) {
+        const soundId = `sound_${Date.now()}_${this.soundCounter++}`;
+        
+        if (decoded) {
+            this.audioEngine.addDecodedSound(soundId, file, decoded.buffer, decoded.hash, folderId);
+        } else {
+            await this.audioEngine.loadSound(soundId, file, folderId);
+        }
+        
+        let droppedHotkey = null;
+        if (settings) {
+            const hotkey = settings.hotkey && this.hotkeys.isAvailableKey(settings.hotkey) ? settings.hotkey : null;
+            droppedHotkey = settings.hotkey && !hotkey ? settings.hotkey : null;
+            this.audioEngine.applySoundSettings(soundId, { ...settings, hotkey: hotkey, order: undefined });
+        }
+        
+        this.loadedSounds.set(soundId, {
+            id: soundId,
+            name: file.name.replace(/\.[^/.]+$/, ""),
+            file: file,
+            folderId: folderId
+        });
+        
+        const saved = await this.persist(() => this.storage.saveSound(
+            soundId, this.audioEngine.getSoundSettings(soundId), file
+        ));
+        return { soundId, saved, droppedHotkey };
+    }
+
+    async exportBundle() {
+        if (this.audioEngine.sounds.size === 0) {
+            this.updateStatus('Библиотека пуста: нечего экспортировать');
+            return;
+        }
+        
+        this.updateStatus('Подготовка архива...');
+        try {
+            const result = await this.bundleManager.exportBundle();
+            this.downloadBlob(result.blob, `dnd-soundboard-${new Date().toISOString().slice(0, 10)}.zip`);
+            
+            if (result.failures.length > 0) {
+                this.updateStatus(`Экспортировано ${result.soundCount} трек(ов), не удалось: ${result.failures.join(', ')}`);
+            } else {
+                this.updateStatus(`Экспортировано ${result.soundCount} трек(ов)`);
+            }
+        } catch (error) {
+            console.error('Ошибка экспорта:', error);
+            this.updateStatus('Не удалось экспортировать библиотеку');
+        }
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    configureRemote() {
+        const currentUrl = this.remote.transport.relayUrl || '';
+        const url = prompt(
+            'Пульт: откройте remote.html на телефоне или в другой вкладке.\n' +
+            'Адрес WebSocket-ретранслятора для других устройств (например, ws://192.168.1.10:8765).\n' +
+            'Оставьте пустым, чтобы работать только между вкладками.',
+            currentUrl
+        );
+        if (url === null) return;
+        
+        const relayUrl = url.trim();
+        if (relayUrl && !/^wss?:\/\//.test(relayUrl)) {
+            this.updateStatus('Адрес ретранслятора должен начинаться с ws:// или wss://');
+            return;
+        }
+        
+        this.remote.transport.onRelayStateChange = (state) => {
+            if (state === 'open') this.updateStatus(`Пульт подключен к ретранслятору ${relayUrl}`);
+        };
+        this.remote.connectRelay(relayUrl);
+        this.persist(() => this.storage.saveMeta('remoteRelayUrl', relayUrl));
+        this.updateStatus(relayUrl ? `Подключение к ретранслятору ${relayUrl}...` : 'Пульт работает только между вкладками');
+    }
+
+    async toggleRecording() {
+        if (this.recorder.state === 'inactive') {
+            const format = document.getElementById('recordFormat').value;
+            this.audioEngine.resumeAudioContext();
+            
+            if (!this.recorder.start(format)) {
+                this.updateStatus('Этот браузер не поддерживает запись в WebM/Opus');
+                return;
+            }
+            this.recordingTimer = setInterval(() => this.updateRecorderControls(), 500);
+            this.updateRecorderControls();
+            this.updateStatus('Запись сессии началась');
+            return;
+        }
+        
+        const format = this.recorder.format;
+        const blob = await this.recorder.stop();
+        clearInterval(this.recordingTimer);
+        this.recordingTimer = null;
+        this.updateRecorderControls();
+        
+        if (blob) {
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+            this.downloadBlob(blob, `dnd-session-${stamp}.${format}`);
+            this.updateStatus(`Запись сохранена (${this.formatTime(this.recorder.elapsed)})`);
+        }
+    }
+
+    toggleRecordingPause() {
+        if (this.recorder.state === 'recording') {
+            this.recorder.pause();
+            this.updateStatus('Запись приостановлена');
+        } else if (this.recorder.resume()) {
+            this.updateStatus('Запись продолжена');
+        }
+        this.updateRecorderControls();
+    }
+
+    updateRecorderControls() {
+        const state = this.recorder.state;
+        const recordBtn = document.getElementById('recordBtn');
+        const pauseBtn = document.getElementById('recordPauseBtn');
+        
+        recordBtn.textContent = state === 'inactive' ? '⏺ Запись' : '⏹ Остановить запись';
+        recordBtn.classList.toggle('recording', state !== 'inactive');
+        pauseBtn.disabled = state === 'inactive';
+        pauseBtn.textContent = state === 'paused' ? '⏵ Продолжить запись' : '⏸ Пауза записи';
+        document.getElementById('recordFormat').disabled = state !== 'inactive';
+        document.getElementById('recordTime').textContent = this.formatTime(this.recorder.getElapsed());
+    }
+
+    async renderSceneToFile(sceneId) {
+        const scene = this.sceneManager.scenes.get(sceneId);
+        if (!scene || scene.tracks.length === 0) return;
+        
+        await Promise.all(scene.tracks.map((track) => this.audioEngine.ensureBuffer(track.soundId)));
+        const defaultLength = Math.ceil(this.recorder.getSceneLength(scene)) || 60;
+        const answer = prompt('Длительность файла в секундах:', defaultLength);
+        const duration = parseFloat(answer);
+        if (!duration || duration <= 0) return;
+        
+        this.updateStatus(`Сведение сцены "${scene.name}"...`);
+        try {
+            const blob = await this.recorder.renderScene(scene, duration);
+            this.downloadBlob(blob, `${scene.name}.wav`);
+            this.updateStatus(`Сцена "${scene.name}" сведена в файл`);
+        } catch (error) {
+            console.error('Ошибка сведения сцены:', error);
+            this.updateStatus('Не удалось свести сцену в файл');
+        }
+    }
+
+    async importBundle() {
+        const bundleInput = document.getElementById('bundleInput');
+        const file = bundleInput.files[0];
+        bundleInput.value = '';
+        if (!file) return;
+        
+        const mergeDuplicates = confirm('Объединить звуки, которые уже есть в библиотеке?\nОК — пропустить совпадающие, Отмена — импортировать с новыми именами.');
+        this.updateStatus(`Импорт "${file.name}"...`);
+        
+        try {
+            const result = await this.bundleManager.importBundle(file, mergeDuplicates);
+            let message = `Импортировано ${result.importedCount} трек(ов)`;
+            if (result.mergedCount > 0) message += `, объединено ${result.mergedCount}`;
+            if (result.sceneCount > 0) message += `, сцен: ${result.sceneCount}`;
+            if (result.sequenceCount > 0) message += `, последовательностей: ${result.sequenceCount}`;
+            if (result.droppedHotkeys.length > 0) message += `. Клавиши заняты и не назначены: ${result.droppedHotkeys.join(', ')}`;
+            if (result.failures.length > 0) message += `. Ошибки: ${result.failures.join('; ')}`;
+            this.updateStatus(message);
+        } catch (error) {
+            console.error('Ошибка импорта:', error);
+            this.updateStatus(`Не удалось импортировать архив: ${error.message}`);
+        }
+        
+        this.renderFolderPanel();
+        this.renderScenePanel();
+        this.renderSequencePanel();
+        this.renderSoundboard();
+        this.renderMixerPanel();
+    }
+
+    async playSound(soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        const sequenceId = this.getLinkedSequenceId(soundId);
+        if (sequenceId) {
+            this.toggleSequence(sequenceId);
+            return;
+        }
+        if (sound && sound.random.enabled) {
+            this.toggleRandomTrigger(soundId);
+            return;
+        }
+        
+        if (this.activeSounds.has(soundId)) {
+            this.stopSound(soundId);
+        } else {
+            const decoded = await this.audioEngine.ensureBuffer(soundId);
+            if (!decoded) {
+                this.updateStatus('Не удалось декодировать звук');
+                return;
+            }
+            if (this.activeSounds.has(soundId)) return;
+            
+            const sourceId = this.audioEngine.playSound(soundId);
+            if (sourceId) {
+                this.activeSounds.set(soundId, sourceId);
+                this.refreshSoundCard(soundId);
+            }
+        }
+        this.updateActiveCount();
+    }
+
+    toggleRandomTrigger(soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        
+        if (this.audioEngine.randomSchedulers.has(soundId)) {
+            this.audioEngine.stopRandom(soundId);
+            this.refreshSoundCard(soundId);
+            this.updateStatus(`Случайный запуск "${sound.name}" остановлен`);
+        } else {
+            this.audioEngine.startRandom(soundId);
+            this.refreshSoundCard(soundId);
+            this.updateStatus(`Случайный запуск "${sound.name}" каждые ${sound.random.minInterval}–${sound.random.maxInterval} с`);
+        }
+    }
+
+    togglePauseSound(soundId) {
+        if (this.audioEngine.randomSchedulers.has(soundId)) {
+            if (this.audioEngine.isRandomPaused(soundId)) {
+                this.audioEngine.resumeRandom(soundId);
+            } else {
+                this.audioEngine.pauseRandom(soundId);
+            }
+            this.refreshSoundCard(soundId);
+            return;
+        }
+        
+        const sourceId = this.activeSounds.get(soundId);
+        if (!sourceId) return;
+        
+        if (this.audioEngine.isPaused(sourceId)) {
+            this.audioEngine.resumeSound(sourceId);
+        } else {
+            this.audioEngine.pauseSound(sourceId);
+        }
+        this.refreshSoundCard(soundId);
+    }
+
+    seekSound(soundId, position) {
+        const sourceId = this.activeSounds.get(soundId);
+        if (sourceId) {
+            this.audioEngine.seekSound(sourceId, position);
+            this.updateProgress(soundId);
+        }
+    }
+
+    handleSourceEnded(sourceId, soundId) {
+        if (this.activeSounds.get(soundId) === sourceId) {
+            this.activeSounds.delete(soundId);
+            this.deselectSync(soundId);
+            this.refreshSoundCard(soundId);
+        }
+        this.playlists.handleSourceEnded(sourceId);
+    }
+
+    togglePlaylist(folderId) {
+        const folder = this.audioEngine.folders.get(folderId);
+        if (!folder) return;
+        
+        if (this.playlists.isPlaying(folderId)) {
+            this.playlists.stop(folderId);
+            this.updateStatus(`Плейлист "${folder.name}" остановлен`);
+            return;
+        }
+        
+        this.playlists.play(folderId).then((started) => {
+            this.updateStatus(started ? `Плейлист "${folder.name}" запущен` : `В папке "${folder.name}" нет треков для плейлиста`);
+        });
+    }
+
+    skipPlaylist(folderId, direction) {
+        this.playlists.skip(folderId, direction);
+    }
+
+    setPlaylistSetting(folderId, key, value) {
+        if (this.playlists.updateSettings(folderId, { [key]: value })) {
+            this.saveFolder(folderId);
+            this.renderNowPlaying(folderId);
+        }
+    }
+
+    renderNowPlaying(folderId) {
+        const strip = document.querySelector(`[data-strip="${folderId}"]`);
+        if (!strip) return;
+        
+        const nowPlaying = this.playlists.getNowPlaying(folderId);
+        const sound = nowPlaying && this.audioEngine.sounds.get(nowPlaying.soundId);
+        const settings = this.playlists.getSettings(folderId);
+        
+        strip.querySelector('.now-playing').textContent = sound
+            ? `▶ ${sound.name.replace(/\.[^/.]+$/, '')} (${nowPlaying.position}/${nowPlaying.total})`
+            : '';
+        strip.querySelector('.playlist-play-btn').textContent = this.playlists.isPlaying(folderId) ? '⏹' : '▶';
+        strip.querySelector('.playlist-shuffle-btn').classList.toggle('active', settings.shuffle);
+        strip.querySelector('.playlist-repeat-btn').classList.toggle('active', settings.repeat);
+    }
+
+    crossfadeTo(soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!sound) return;
+        
+        this.audioEngine.ensureBuffer(soundId).then((decoded) => {
+            if (!decoded) {
+                this.updateStatus('Не удалось декодировать звук');
+                return;
+            }
+            
+            const result = this.audioEngine.crossfadeTo(soundId);
+            if (!result || !result.sourceId) return;
+            
+            this.activeSounds.forEach((sourceId, activeSoundId) => {
+                if (result.stoppedSourceIds.includes(sourceId)) {
+                    this.activeSounds.delete(activeSoundId);
+                    this.deselectSync(activeSoundId);
+                    this.refreshSoundCard(activeSoundId);
+                }
+            });
+            this.activeSounds.set(soundId, result.sourceId);
+            this.refreshSoundCard(soundId);
+            this.updateStatus(`Плавный переход к "${sound.name}"`);
+            this.updateActiveCount();
+        });
+    }
+
+    stopSound(soundId, fadeOut = null) {
+        if (this.audioEngine.stopRandom(soundId, fadeOut)) {
+            this.refreshSoundCard(soundId);
+        }
+        
+        const sourceId = this.activeSounds.get(soundId);
+        if (sourceId) {
+            this.audioEngine.stopSound(sourceId, fadeOut);
+            this.activeSounds.delete(soundId);
+            this.deselectSync(soundId);
+            this.refreshSoundCard(soundId);
+        }
+        this.updateActiveCount();
+    }
+
+    // Если на карточках отмечены треки, синхронизируются только они, иначе все играющие
+    syncAll() {
+        const leaderSoundId = document.getElementById('syncLeader').value;
+        const leaderSourceId = leaderSoundId ? this.activeSounds.get(leaderSoundId) : null;
+        const result = this.audioEngine.syncAll(leaderSourceId || null, this.getSyncSourceIds());
+        
+        if (result.syncedSourceIds.length === 0) {
+            this.updateStatus('Нет играющих треков для синхронизации');
+            return;
+        }
+        
+        const delay = Math.max(0, result.startTime - this.audioEngine.audioContext.currentTime);
+        setTimeout(() => {
+            this.activeSounds.forEach((_, soundId) => this.updateProgress(soundId));
+        }, delay * 1000);
+        
+        const leader = this.audioEngine.sounds.get(leaderSoundId);
+        if (result.leaderSourceId && leader) {
+            this.updateStatus(`Синхронизировано ${result.syncedSourceIds.length} трек(ов) по циклу "${leader.name}"`);
+        } else {
+            this.updateStatus(`Синхронизировано ${result.syncedSourceIds.length} трек(ов)`);
+        }
+    }
+
+    // Выбор без играющих треков (например, после остановки последовательностью) означает «все»
+    getSyncSourceIds() {
+        const sourceIds = Array.from(this.syncSelection)
+            .map((soundId) => this.activeSounds.get(soundId))
+            .filter(Boolean);
+        return sourceIds.length > 0 ? sourceIds : null;
+    }
+
+    toggleSyncSelection(soundId) {
+        if (!this.syncSelection.delete(soundId)) {
+            this.syncSelection.add(soundId);
+        }
+        this.updateSyncButton();
+        this.refreshSoundCard(soundId);
+    }
+
+    deselectSync(soundId) {
+        if (this.syncSelection.delete(soundId)) {
+            this.updateSyncButton();
+        }
+    }
+
+    updateSyncButton() {
+        document.getElementById('syncAll').textContent = this.getSyncSourceIds()
+            ? 'Синхронизировать выбранные' : 'Синхронизировать все';
+    }
+
+    renderSyncLeaderOptions() {
+        const leaderSelect = document.getElementById('syncLeader');
+        const selected = leaderSelect.value;
+        leaderSelect.innerHTML = '<option value="">Без ведущего трека</option>';
+        
+        this.activeSounds.forEach((sourceId, soundId) => {
+            const sound = this.audioEngine.sounds.get(soundId);
+            if (!sound || !sound.loop) return;
+            
+            const option = document.createElement('option');
+            option.value = soundId;
+            option.textContent = sound.name;
+            leaderSelect.appendChild(option);
+        });
+        
+        leaderSelect.value = this.activeSounds.has(selected) ? selected : '';
+    }
+
+    togglePauseAll() {
+        const pauseBtn = document.getElementById('pauseAll');
+        const isPaused = pauseBtn.textContent.includes('Возобновить');
+        
+        if (isPaused) {
+            this.audioEngine.resumeAll(this.globalFade);
+            this.sequencer.resume();
+            pauseBtn.textContent = 'Пауза всех';
+            this.updateStatus('Возобновлено воспроизведение всех треков');
+        } else {
+            this.audioEngine.pauseAll(this.globalFade);
+            this.sequencer.suspend();
+            pauseBtn.textContent = 'Возобновить все';
+            this.updateStatus('Пауза всех треков');
+        }
+        
+        this.activeSounds.forEach((_, soundId) => this.refreshSoundCard(soundId));
+    }
+
+    stopAll() {
+        this.playlists.stopAll();
+        this.sequencer.abortAll(this.globalFade);
+        this.sequencer.resume();
+        this.audioEngine.stopAll(this.globalFade);
+        this.activeSounds.clear();
+        this.syncSelection.clear();
+        this.updateSyncButton();
+        this.renderSoundboard();
+        this.updateVoiceStrip();
+        this.updateStatus('Остановка всех треков');
+        document.getElementById('pauseAll').textContent = 'Пауза всех';
+        this.updateActiveCount();
+    }
+
+    setMasterVolume(volume) {
+        this.audioEngine.setMasterVolume(volume);
+        this.persist(() => this.storage.saveMeta('masterVolume', volume));
+    }
+
+    setFolderVolume(folderId, volume) {
+        if (this.audioEngine.setFolderVolume(folderId, volume)) {
+            this.saveFolder(folderId);
+        }
+    }
+
+    toggleFolderMute(folderId) {
+        const folder = this.audioEngine.folders.get(folderId);
+        if (folder) {
+            this.audioEngine.setFolderMute(folderId, !folder.muted);
+            this.saveFolder(folderId);
+            this.renderMixerPanel();
+        }
+    }
+
+    toggleFolderSolo(folderId) {
+        const bus = this.audioEngine.getFolderBus(folderId);
+        this.audioEngine.setFolderSolo(folderId, !bus.solo);
+        this.renderMixerPanel();
+    }
+
+    setSoundHotkey(soundId, code) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (sound) {
+            sound.hotkey = code;
+            this.saveSoundSettings(soundId);
+        }
+    }
+
+    setGlobalFade(value) {
+        const fadeTime = Math.max(0, parseFloat(value) || 0);
+        this.globalFade = fadeTime;
+        document.getElementById('globalFade').value = fadeTime;
+        this.persist(() => this.storage.saveMeta('globalFade', fadeTime));
+    }
+
+    setDucking(key, value) {
+        this.audioEngine.setDucking({ [key]: Math.max(0, Math.min(1, parseFloat(value) || 0)) });
+        this.persist(() => this.storage.saveMeta('ducking', this.audioEngine.ducking));
+    }
+
+    async toggleMicrophone() {
+        const voice = this.audioEngine.voice;
+        if (voice.isActive()) {
+            voice.stop();
+            this.updateStatus('Микрофон выключен');
+        } else if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.updateStatus('Браузер не поддерживает захват микрофона');
+        } else {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({
+                    audio: { echoCancellation: false, noiseSuppression: true, autoGainControl: false }
+                });
+                this.audioEngine.resumeAudioContext();
+                voice.start(stream);
+                this.updateStatus(`Микрофон включен: ${VoiceChannel.getPresets()[voice.preset].label}`);
+            } catch (error) {
+                console.error('Ошибка доступа к микрофону:', error);
+                this.updateStatus('Нет доступа к микрофону');
+            }
+        }
+        this.updateVoiceStrip();
+    }
+
+    async playVoiceFile(file) {
+        try {
+            const buffer = await this.audioEngine.audioContext.decodeAudioData(await file.arrayBuffer());
+            this.audioEngine.resumeAudioContext();
+            this.audioEngine.voice.startFile(buffer);
+            this.updateStatus(`Голосовой канал: файл "${file.name}"`);
+        } catch (error) {
+            console.error('Ошибка декодирования файла:', error);
+            this.updateStatus('Не удалось декодировать файл');
+        }
+        this.updateVoiceStrip();
+    }
+
+    setVoiceSetting(key, value) {
+        this.audioEngine.voice.applySettings({ [key]: value });
+        this.persist(() => this.storage.saveMeta('voice', this.audioEngine.voice.getSettings()));
+        this.updateVoiceStrip();
+    }
+
+    updateVoiceStrip() {
+        const strip = document.querySelector('[data-strip="voice"]');
+        if (!strip) return;
+        
+        const voice = this.audioEngine.voice;
+        const micBtn = strip.querySelector('.voice-mic-btn');
+        micBtn.classList.toggle('active', voice.isActive());
+        micBtn.textContent = voice.isActive() ? '⏹ Выкл.' : '🎙️ Вкл.';
+        strip.querySelector('.voice-monitor-btn').classList.toggle('active', !voice.monitoring);
+        strip.querySelector('.voice-preset').value = voice.preset;
+    }
+
+    setTalkOver(active) {
+        if (this.audioEngine.talkOver === active) return;
+        
+        this.audioEngine.setTalkOver(active);
+        document.getElementById('talkOverBtn').classList.toggle('active', active);
+        this.updateStatus(active ? 'Режим речи: все звуки приглушены' : 'Режим речи выключен');
+    }
+
+    setSoundRole(soundId, role) {
+        if (this.audioEngine.setSoundRole(soundId, role)) {
+            this.saveSoundSettings(soundId);
+        }
+    }
+
+    setSoundSequence(soundId, sequenceId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (sound) {
+            sound.sequenceId = sequenceId;
+            this.saveSoundSettings(soundId);
+            this.refreshSoundCard(soundId);
+        }
+    }
+
+    setSoundFade(soundId, fadeIn, fadeOut) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (sound) {
+            sound.fadeIn = Math.max(0, fadeIn || 0);
+            sound.fadeOut = Math.max(0, fadeOut || 0);
+            this.saveSoundSettings(soundId);
+        }
+    }
+
+    setSoundVolume(soundId, volume) {
+        if (!this.audioEngine.setSoundVolume(soundId, volume)) return;
+        
+        this.saveSoundSettings(soundId);
+        this.refreshSoundCard(soundId);
+    }
+
+    setSoundPlayback(soundId, key, value) {
+        if (this.audioEngine.setSoundPlayback(soundId, { [key]: value })) {
+            this.saveSoundSettings(soundId);
+        }
+    }
+
+    updateVolume(soundId, volume) {
+        if (this.audioEngine.setSoundVolume(soundId, volume)) {
+            this.saveSoundSettings(soundId);
+        }
+    }
+
+    toggleRandomMode(soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!sound) return false;
+        
+        const enabled = !sound.random.enabled;
+        sound.random = { ...sound.random, enabled };
+        if (!enabled) {
+            this.audioEngine.stopRandom(soundId);
+        }
+        this.saveSoundSettings(soundId);
+        this.renderSoundboard();
+        return enabled;
+    }
+
+    setRandomSetting(soundId, key, value) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (sound) {
+            sound.random = { ...sound.random, [key]: value };
+            this.saveSoundSettings(soundId);
+        }
+    }
+
+    setSoundTags(soundId, tags) {
+        if (this.audioEngine.setSoundTags(soundId, tags)) {
+            this.saveSoundSettings(soundId);
+            this.renderSoundboard();
+        }
+    }
+
+    toggleFavorite(soundId, favorite = undefined) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!sound) return false;
+        
+        sound.favorite = favorite === undefined ? !sound.favorite : favorite;
+        this.saveSoundSettings(soundId);
+        this.renderFolderPanel();
+        this.renderSoundboard();
+        return sound.favorite;
+    }
+
+    toggleTagFilter(tag) {
+        if (this.activeTags.has(tag)) {
+            this.activeTags.delete(tag);
+        } else {
+            this.activeTags.add(tag);
+        }
+        this.renderSoundboard();
+    }
+
+    clearFilters() {
+        this.searchQuery = '';
+        this.activeTags.clear();
+        document.getElementById('librarySearch').value = '';
+        this.renderSoundboard();
+    }
+
+    setSoundRegion(soundId, region) {
+        if (this.audioEngine.setSoundRegion(soundId, region)) {
+            this.saveSoundSettings(soundId);
+            this.updateProgress(soundId);
+            this.updateStatus(`Обрезка и петля "${this.audioEngine.sounds.get(soundId).name}" сохранены`);
+        }
+    }
+
+    toggleLoop(soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (sound) {
+            const newLoopState = !sound.loop;
+            this.audioEngine.setLoop(soundId, newLoopState);
+            this.refreshSoundCard(soundId);
+            this.saveSoundSettings(soundId);
+            return newLoopState;
+        }
+        return false;
+    }
+
+    bindFolderDialog() {
+        const dialog = document.getElementById('folderDialog');
+        const iconInput = document.getElementById('folderIconInput');
+        const palette = document.getElementById('folderIconPalette');
+        
+        this.folderIcons.forEach((icon) => {
+            const iconBtn = document.createElement('button');
+            iconBtn.type = 'button';
+            iconBtn.className = 'folder-icon-option';
+            iconBtn.textContent = icon;
+            iconBtn.addEventListener('click', () => {
+                iconInput.value = icon;
+            });
+            palette.appendChild(iconBtn);
+        });
+        
+        document.getElementById('folderForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveFolderDialog();
+        });
+        document.getElementById('folderCancelBtn').addEventListener('click', () => dialog.close());
+        document.getElementById('folderDeleteBtn').addEventListener('click', () => {
+            const mode = dialog.querySelector('input[name="folderDeleteMode"]:checked').value;
+            const folder = this.audioEngine.folders.get(this.editingFolder);
+            const question = mode === 'delete'
+                ? `Удалить папку "${folder.name}", ее подпапки и все звуки в них?`
+                : `Удалить папку "${folder.name}" и ее подпапки? Звуки будут перенесены в «Все звуки».`;
+            
+            if (confirm(question)) {
+                this.deleteFolder(this.editingFolder, mode === 'delete');
+                dialog.close();
+            }
+        });
+        dialog.addEventListener('close', () => {
+            this.editingFolder = null;
+        });
+    }
+
+    openFolderDialog(folderId = null) {
+        const dialog = document.getElementById('folderDialog');
+        const folder = folderId ? this.audioEngine.folders.get(folderId) : null;
+        const parentSelect = document.getElementById('folderParentSelect');
+        const excluded = folderId ? [folderId, ...this.audioEngine.getFolderDescendants(folderId)] : [];
+        
+        this.editingFolder = folderId;
+        document.getElementById('folderDialogTitle').textContent = folder ? 'Настройки папки' : 'Новая папка';
+        document.getElementById('folderNameInput').value = folder ? folder.name : 'Новая папка';
+        document.getElementById('folderColorInput').value = folder ? folder.color : '#6c5ce7';
+        document.getElementById('folderIconInput').value = folder ? folder.icon : '📁';
+        document.getElementById('folderRoleSelect').value = folder ? (folder.role || 'none') : 'none';
+        document.getElementById('folderDeleteSection').hidden = !folder || folderId === 'default';
+        
+        parentSelect.innerHTML = '<option value="">— Верхний уровень —</option>';
+        this.audioEngine.getFolderTree().forEach(({ folder: candidate, depth }) => {
+            if (candidate.id === 'default' || excluded.includes(candidate.id)) return;
+            
+            const option = document.createElement('option');
+            option.value = candidate.id;
+            option.textContent = `${'\u00a0\u00a0'.repeat(depth)}${candidate.icon} ${candidate.name}`;
+            parentSelect.appendChild(option);
+        });
+        const targetFolderId = this.getTargetFolderId();
+        parentSelect.value = folder ? (folder.parentId || '') : (targetFolderId !== 'default' ? targetFolderId : '');
+        parentSelect.disabled = folderId === 'default';
+        
+        dialog.showModal();
+        document.getElementById('folderNameInput').select();
+    }
+
+    saveFolderDialog() {
+        const name = document.getElementById('folderNameInput').value.trim();
+        if (!name) return;
+        
+        const color = document.getElementById('folderColorInput').value;
+        const icon = document.getElementById('folderIconInput').value.trim() || '📁';
+        const parentId = document.getElementById('folderParentSelect').value || null;
+        const role = document.getElementById('folderRoleSelect').value;
+        let folderId = this.editingFolder;
+        
+        if (folderId) {
+            const folder = this.audioEngine.folders.get(folderId);
+            this.audioEngine.updateFolder(folderId, { name, color, icon, role });
+            this.saveFolder(folderId);
+            
+            if (folderId !== 'default' && (folder.parentId ?? null) !== parentId) {
+                this.audioEngine.moveFolder(folderId, parentId).forEach((changedId) => this.saveFolder(changedId));
+            }
+            this.updateStatus(`Папка "${name}" сохранена`);
+        } else {
+            folderId = this.audioEngine.createFolder(name, color, icon, parentId);
+            this.audioEngine.updateFolder(folderId, { role });
+            this.saveFolder(folderId);
+            this.updateStatus(`Создана папка "${name}"`);
+        }
+        this.audioEngine.updateDucking();
+        
+        document.getElementById('folderDialog').close();
+        this.renderMixerPanel();
+        this.selectFolder(folderId);
+    }
+
+    reorderFolder(folderId, targetId) {
+        if (folderId === targetId) return;
+        
+        const target = this.audioEngine.folders.get(targetId);
+        let changedIds;
+        if (targetId === 'default') {
+            const firstFolder = this.audioEngine.getChildFolders(null)[0];
+            changedIds = this.audioEngine.moveFolder(folderId, null, firstFolder ? firstFolder.id : null);
+        } else {
+            changedIds = this.audioEngine.moveFolder(folderId, target.parentId ?? null, targetId);
+        }
+        
+        changedIds.forEach((changedId) => this.saveFolder(changedId));
         this.renderFolderPanel();
+        this.renderMixerPanel();
+    }
+
+    showSaveSceneDialog() {
+        if (this.activeSounds.size === 0) {
+            this.updateStatus('Сцена сохраняется из играющих звуков: сначала запустите треки');
+            return;
+        }
+        
+        const sceneName = prompt('Введите название сцены:', 'Новая сцена');
+        if (sceneName && sceneName.trim()) {
+            const scene = this.sceneManager.captureScene(sceneName.trim());
+            this.updateStatus(`Сохранена сцена "${scene.name}" (${scene.tracks.length} трек(ов))`);
+            this.renderScenePanel();
+        }
+    }
+
+    async recallScene(sceneId) {
+        const scene = this.sceneManager.scenes.get(sceneId);
+        if (!scene) return;
+        
+        this.audioEngine.resumeAudioContext();
+        const startedCount = await this.sceneManager.recallScene(sceneId);
         this.renderSoundboard();
-        this.checkAudioContext();
+        this.updateStatus(`Сцена "${scene.name}": запущено ${startedCount} трек(ов)`);
+        this.updateActiveCount();
     }
 
-    bindEvents() {
-        document.getElementById('uploadBtn').addEventListener('click', () => this.uploadTracks());
-        document.getElementById('syncAll').addEventListener('click', () => this.audioEngine.syncAll());
-        document.getElementById('pauseAll').addEventListener('click', () => this.togglePauseAll());
-        document.getElementById('stopAll').addEventListener('click', () => this.stopAll());
-        document.getElementById('addFolderBtn').addEventListener('click', () => this.showAddFolderDialog());
-        document.getElementById('toggleEditBtn').addEventListener('click', () => this.toggleEditMode());
+    toggleSceneEditor(sceneId) {
+        this.editingScene = this.editingScene === sceneId ? null : sceneId;
+        this.renderScenePanel();
+    }
+
+    deleteScene(sceneId) {
+        if (this.sceneManager.deleteScene(sceneId)) {
+            if (this.editingScene === sceneId) {
+                this.editingScene = null;
+            }
+            this.renderScenePanel();
+            this.updateStatus('Сцена удалена');
+        }
+    }
+
+    showCreateSequenceDialog() {
+        const name = prompt('Введите название последовательности:', 'Новая последовательность');
+        if (name && name.trim()) {
+            const sequence = this.sequencer.createSequence(name.trim());
+            this.editingSequence = sequence.id;
+            this.renderSequencePanel();
+            this.renderSoundboard();
+        }
+    }
+
+    async toggleSequence(sequenceId) {
+        const sequence = this.sequencer.sequences.get(sequenceId);
+        if (!sequence) return;
         
-        document.addEventListener('click', () => {
-            this.audioEngine.resumeAudioContext();
+        if (this.sequencer.isRunning(sequenceId)) {
+            this.sequencer.abort(sequenceId, this.globalFade);
+            this.updateStatus(`Последовательность "${sequence.name}" прервана`);
+            return;
+        }
+        
+        this.audioEngine.resumeAudioContext();
+        if (await this.sequencer.start(sequenceId)) {
+            this.updateStatus(`Последовательность "${sequence.name}" запущена`);
+        }
+    }
+
+    getLinkedSequenceId(soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        return sound && this.sequencer.sequences.has(sound.sequenceId) ? sound.sequenceId : null;
+    }
+
+    getSequenceOptions() {
+        return Array.from(this.sequencer.sequences.values(), (sequence) => [sequence.id, sequence.name]);
+    }
+
+    setSequenceHotkey(sequenceId, code) {
+        if (this.sequencer.updateSequence(sequenceId, { hotkey: code })) {
+            this.renderSequencePanel();
+        }
+    }
+
+    toggleSequenceEditor(sequenceId) {
+        this.editingSequence = this.editingSequence === sequenceId ? null : sequenceId;
+        this.renderSequencePanel();
+    }
+
+    deleteSequence(sequenceId) {
+        if (this.sequencer.deleteSequence(sequenceId)) {
+            if (this.editingSequence === sequenceId) {
+                this.editingSequence = null;
+            }
+            this.renderSequencePanel();
+            this.renderSoundboard();
+            this.updateStatus('Последовательность удалена');
+        }
+    }
+
+    selectFolder(folderId) {
+        this.selectedFolder = folderId;
+        this.renderFolderPanel();
+        this.renderSoundboard();
+        
+        const folder = this.audioEngine.folders.get(folderId);
+        if (folder) {
+            this.updateStatus(`Выбрана папка: ${folder.name}`);
+        } else if (folderId === 'favorites') {
+            this.updateStatus('Выбрано: Избранное');
+        }
+    }
+
+    getTargetFolderId() {
+        return this.audioEngine.folders.has(this.selectedFolder) ? this.selectedFolder : 'default';
+    }
+
+    isLibraryView() {
+        return this.selectedFolder === 'favorites' || this.searchQuery.trim() !== '' || this.activeTags.size > 0;
+    }
+
+    getVisibleSounds() {
+        if (!this.isLibraryView()) {
+            return this.audioEngine.getSoundsByFolder(this.selectedFolder);
+        }
+        return this.audioEngine.searchSounds(this.searchQuery, Array.from(this.activeTags), this.selectedFolder === 'favorites');
+    }
+
+    selectAdjacentFolder(direction) {
+        const folderIds = ['favorites', ...this.audioEngine.getFolderTree().map(({ folder }) => folder.id)];
+        const index = folderIds.indexOf(this.selectedFolder);
+        const nextIndex = (index + direction + folderIds.length) % folderIds.length;
+        this.selectFolder(folderIds[nextIndex]);
+    }
+
+    toggleEditMode() {
+        this.editMode = !this.editMode;
+        this.hotkeys.recordingSound = null;
+        const editBtn = document.getElementById('toggleEditBtn');
+        
+        if (this.editMode) {
+            editBtn.textContent = 'Завершить редактирование';
+            editBtn.classList.add('active');
+            this.updateStatus('Режим редактирования включен');
+        } else {
+            editBtn.textContent = 'Режим редактирования';
+            editBtn.classList.remove('active');
+            this.updateStatus('Режим редактирования выключен');
+        }
+        
+        this.renderSoundboard();
+    }
+
+    renderFolderPanel() {
+        const counts = new Map();
+        let favoriteCount = 0;
+        this.audioEngine.sounds.forEach((sound) => {
+            counts.set(sound.folderId, (counts.get(sound.folderId) || 0) + 1);
+            if (sound.favorite) favoriteCount++;
         });
+        
+        const items = this.audioEngine.getFolderTree().map(({ folder, depth }) => ({
+            folder: folder,
+            depth: depth,
+            count: counts.get(folder.id) || 0
+        }));
+        items.unshift({ folder: { id: 'favorites' }, depth: 0, count: favoriteCount });
+        this.folderItems.render(items);
     }
 
-    async uploadTracks() {
-        const fileInput = document.querySelector('.file-input');
-        const files = Array.from(fileInput.files);
+    getFolderItemSignature({ folder, depth, count }) {
+        return JSON.stringify([folder.name, folder.icon, folder.color, depth, count]);
+    }
+
+    patchFolderItem(folderElement, folderId) {
+        folderElement.classList.toggle('active', this.selectedFolder === folderId);
+    }
+
+    createFolderItem({ folder, depth, count }) {
+        const folderId = folder.id;
+        if (folderId === 'favorites') {
+            return this.createFavoritesFolder(count);
+        }
         
-        if (files.length === 0) {
-            this.updateStatus('Пожалуйста, сначала выберите аудиофайлы');
+        const folderElement = document.createElement('div');
+        folderElement.className = 'folder-item';
+        folderElement.style.borderLeftColor = folder.color;
+        folderElement.style.marginLeft = `${depth * 16}px`;
+        folderElement.innerHTML = `
+            <div class="folder-icon">${KeyedRenderer.escapeHtml(folder.icon)}</div>
+            <div class="folder-name">${KeyedRenderer.escapeHtml(folder.name)}</div>
+            <div class="folder-count">${count}</div>
+            <button class="folder-edit-btn" title="Настройки папки">✏️</button>
+        `;
+        
+        folderElement.addEventListener('click', () => {
+            this.selectFolder(folderId);
+        });
+        folderElement.querySelector('.folder-edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openFolderDialog(folderId);
+        });
+        
+        folderElement.draggable = folderId !== 'default';
+        folderElement.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-dnd-folder', folderId);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        folderElement.addEventListener('dragover', (e) => {
+            if (!Array.from(e.dataTransfer.types).includes('application/x-dnd-folder')) return;
+            e.preventDefault();
+            folderElement.classList.add('drop-target');
+        });
+        folderElement.addEventListener('drop', (e) => {
+            const draggedId = e.dataTransfer.getData('application/x-dnd-folder');
+            if (!draggedId) return;
+            e.preventDefault();
+            folderElement.classList.remove('drop-target');
+            this.reorderFolder(draggedId, folderId);
+        });
+        this.bindDropTarget(folderElement, folderId);
+        return folderElement;
+    }
+
+    createFavoritesFolder(count) {
+        const favoritesElement = document.createElement('div');
+        favoritesElement.className = 'folder-item favorites-folder';
+        favoritesElement.innerHTML = `
+            <div class="folder-icon">⭐</div>
+            <div class="folder-name">Избранное</div>
+            <div class="folder-count">${count}</div>
+        `;
+        
+        favoritesElement.addEventListener('click', () => {
+            this.selectFolder('favorites');
+        });
+        favoritesElement.addEventListener('dragover', (e) => {
+            if (!Array.from(e.dataTransfer.types).includes('application/x-dnd-sound')) return;
+            e.preventDefault();
+            e.stopPropagation();
+            favoritesElement.classList.add('drop-target');
+        });
+        favoritesElement.addEventListener('dragleave', () => {
+            favoritesElement.classList.remove('drop-target');
+        });
+        favoritesElement.addEventListener('drop', (e) => {
+            const soundId = e.dataTransfer.getData('application/x-dnd-sound');
+            if (!soundId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleFavorite(soundId, true);
+        });
+        return favoritesElement;
+    }
+
+    renderTagFilters() {
+        const container = document.getElementById('tagFilters');
+        container.innerHTML = '';
+        
+        this.audioEngine.getAllTags().forEach((tag) => {
+            const chip = document.createElement('button');
+            chip.className = `tag-chip ${this.activeTags.has(tag) ? 'active' : ''}`;
+            chip.textContent = `#${tag}`;
+            chip.addEventListener('click', () => this.toggleTagFilter(tag));
+            container.appendChild(chip);
+        });
+        
+        if (this.searchQuery.trim() !== '' || this.activeTags.size > 0) {
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'tag-chip clear-filters-btn';
+            clearBtn.textContent = '✕ Сбросить фильтры';
+            clearBtn.addEventListener('click', () => this.clearFilters());
+            container.appendChild(clearBtn);
+        }
+    }
+
+    renderScenePanel() {
+        const scenePanel = document.getElementById('scenePanel');
+        scenePanel.innerHTML = '';
+        
+        if (this.sceneManager.scenes.size === 0) {
+            const emptyItem = document.createElement('div');
+            emptyItem.className = 'scene-empty';
+            emptyItem.textContent = 'Нет сохраненных сцен';
+            scenePanel.appendChild(emptyItem);
             return;
         }
         
-        document.getElementById('uploadBtn').disabled = true;
-        this.updateStatus(`Загрузка ${files.length} трек(ов)...`);
+        this.sceneManager.scenes.forEach((scene, sceneId) => {
+            const sceneElement = document.createElement('div');
+            sceneElement.className = `scene-item ${this.editingScene === sceneId ? 'editing' : ''}`;
+            sceneElement.innerHTML = `
+                <div class="scene-header">
+                    <div class="scene-icon">🎬</div>
+                    <div class="scene-name"></div>
+                    <div class="folder-count">${scene.tracks.length}</div>
+                    <button class="scene-btn scene-play-btn" title="Запустить сцену">▶️</button>
+                    <button class="scene-btn scene-render-btn" title="Свести сцену в WAV">💿</button>
+                    <button class="scene-btn scene-edit-btn" title="Редактировать сцену">✏️</button>
+                </div>
+            `;
+            sceneElement.querySelector('.scene-name').textContent = scene.name;
+            
+            sceneElement.querySelector('.scene-play-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.recallScene(sceneId);
+            });
+            
+            sceneElement.querySelector('.scene-render-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.renderSceneToFile(sceneId);
+            });
+            
+            sceneElement.querySelector('.scene-edit-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleSceneEditor(sceneId);
+            });
+            
+            if (this.editingScene === sceneId) {
+                sceneElement.appendChild(this.renderSceneEditor(scene));
+            }
+            
+            scenePanel.appendChild(sceneElement);
+        });
+    }
+
+    renderSceneEditor(scene) {
+        const sceneId = scene.id;
+        const editor = document.createElement('div');
+        editor.className = 'scene-editor';
+        editor.innerHTML = `
+            <input type="text" class="scene-name-input">
+            <label class="scene-option">
+                <input type="checkbox" class="scene-stop-others" ${scene.stopOthers ? 'checked' : ''}>
+                Останавливать остальные звуки
+            </label>
+            <label class="scene-option">
+                Переход
+                <input type="number" class="fade-input scene-fade-input" min="0" max="30" step="0.5" value="${KeyedRenderer.escapeHtml(scene.fadeTime || 0)}">
+                с
+            </label>
+            <div class="scene-tracks"></div>
+            <div class="scene-add-track">
+                <select class="scene-track-select"></select>
+                <button class="scene-btn scene-add-btn" title="Добавить трек">➕</button>
+            </div>
+            <button class="scene-delete-btn">Удалить сцену</button>
+        `;
+        
+        const nameInput = editor.querySelector('.scene-name-input');
+        nameInput.value = scene.name;
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (name) {
+                this.sceneManager.updateScene(sceneId, { name: name });
+                this.renderScenePanel();
+            } else {
+                nameInput.value = scene.name;
+            }
+        });
+        
+        editor.querySelector('.scene-stop-others').addEventListener('change', (e) => {
+            this.sceneManager.updateScene(sceneId, { stopOthers: e.target.checked });
+        });
+        
+        editor.querySelector('.scene-fade-input').addEventListener('change', (e) => {
+            const fadeTime = Math.max(0, parseFloat(e.target.value) || 0);
+            e.target.value = fadeTime;
+            this.sceneManager.updateScene(sceneId, { fadeTime: fadeTime });
+        });
+        
+        const tracksElement = editor.querySelector('.scene-tracks');
+        scene.tracks.forEach((track) => {
+            const sound = this.audioEngine.sounds.get(track.soundId);
+            if (!sound) return;
+            
+            const trackElement = document.createElement('div');
+            trackElement.className = 'scene-track';
+            trackElement.innerHTML = `
+                <div class="scene-track-name"></div>
+                <input type="range" class="volume-slider" min="0" max="1" step="0.1" value="${KeyedRenderer.escapeHtml(track.volume)}">
+                <button class="scene-btn scene-loop-btn ${track.loop ? 'active' : ''}" title="Зациклить">
+                    ${track.loop ? '🔂' : '🔁'}
+                </button>
+                <button class="scene-btn scene-remove-btn" title="Убрать из сцены">✖</button>
+            `;
+            trackElement.querySelector('.scene-track-name').textContent = sound.name;
+            
+            trackElement.querySelector('.volume-slider').addEventListener('change', (e) => {
+                this.sceneManager.updateTrack(sceneId, track.soundId, { volume: parseFloat(e.target.value) });
+            });
+            
+            const loopBtn = trackElement.querySelector('.scene-loop-btn');
+            loopBtn.addEventListener('click', () => {
+                const loop = !track.loop;
+                this.sceneManager.updateTrack(sceneId, track.soundId, { loop: loop });
+                loopBtn.classList.toggle('active', loop);
+                loopBtn.innerHTML = loop ? '🔂' : '🔁';
+            });
+            
+            trackElement.querySelector('.scene-remove-btn').addEventListener('click', () => {
+                this.sceneManager.removeTrack(sceneId, track.soundId);
+                this.renderScenePanel();
+            });
+            
+            tracksElement.appendChild(trackElement);
+        });
+        
+        const trackSelect = editor.querySelector('.scene-track-select');
+        this.audioEngine.sounds.forEach((sound, soundId) => {
+            if (scene.tracks.some((track) => track.soundId === soundId)) return;
+            
+            const option = document.createElement('option');
+            option.value = soundId;
+            option.textContent = sound.name;
+            trackSelect.appendChild(option);
+        });
+        
+        const addBtn = editor.querySelector('.scene-add-btn');
+        addBtn.disabled = trackSelect.options.length === 0;
+        addBtn.addEventListener('click', () => {
+            if (trackSelect.value && this.sceneManager.addTrack(sceneId, trackSelect.value)) {
+                this.renderScenePanel();
+            }
+        });
+        
+        editor.querySelector('.scene-delete-btn').addEventListener('click', () => {
+            if (confirm('Удалить эту сцену?')) {
+                this.deleteScene(sceneId);
+            }
+        });
+        
+        return editor;
+    }
+
+    renderSequencePanel() {
+        const sequencePanel = document.getElementById('sequencePanel');
+        sequencePanel.innerHTML = '';
+        
+        if (this.sequencer.sequences.size === 0) {
+            const emptyItem = document.createElement('div');
+            emptyItem.className = 'scene-empty';
+            emptyItem.textContent = 'Нет последовательностей';
+            sequencePanel.appendChild(emptyItem);
+            return;
+        }
+        
+        this.sequencer.sequences.forEach((sequence, sequenceId) => {
+            const recording = this.hotkeys.recordingSequence === sequenceId;
+            const sequenceElement = document.createElement('div');
+            sequenceElement.className = `scene-item sequence-item ${this.editingSequence === sequenceId ? 'editing' : ''}`;
+            sequenceElement.dataset.sequence = sequenceId;
+            sequenceElement.innerHTML = `
+                <div class="scene-header">
+                    <div class="scene-icon">⏱️</div>
+                    <div class="scene-name"></div>
+                    <div class="folder-count">${sequence.cues.length}</div>
+                    <button class="scene-btn sequence-play-btn" title="Запустить или прервать"></button>
+                    <button class="scene-btn sequence-hotkey-btn ${recording ? 'active' : ''}" title="Назначить клавишу">
+                        ${recording ? '…' : (sequence.hotkey ? KeyedRenderer.escapeHtml(HotkeyManager.getKeyLabel(sequence.hotkey)) : '⌨️')}
+                    </button>
+                    <button class="scene-btn sequence-edit-btn" title="Редактировать последовательность">✏️</button>
+                </div>
+            `;
+            sequenceElement.querySelector('.scene-name').textContent = sequence.name;
+            
+            sequenceElement.querySelector('.sequence-play-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleSequence(sequenceId);
+            });
+            
+            sequenceElement.querySelector('.sequence-hotkey-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hotkeys.startSequenceRecording(sequenceId);
+            });
+            
+            sequenceElement.querySelector('.sequence-edit-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleSequenceEditor(sequenceId);
+            });
+            
+            if (this.editingSequence === sequenceId) {
+                sequenceElement.appendChild(this.renderSequenceEditor(sequence));
+            }
+            
+            sequencePanel.appendChild(sequenceElement);
+            this.updateSequenceState(sequenceId);
+        });
+    }
+
+    renderSequenceEditor(sequence) {
+        const sequenceId = sequence.id;
+        const actions = CueSequencer.getActions();
+        const length = Math.max(1, this.sequencer.getLength(sequence));
+        const editor = document.createElement('div');
+        editor.className = 'scene-editor sequence-editor';
+        editor.innerHTML = `
+            <input type="text" class="scene-name-input">
+            <div class="sequence-timeline">
+                <div class="sequence-playhead"></div>
+            </div>
+            <div class="scene-tracks sequence-cues"></div>
+            <div class="scene-add-track">
+                <select class="scene-track-select"></select>
+                <button class="scene-btn scene-add-btn" title="Добавить событие">➕</button>
+            </div>
+            <button class="scene-delete-btn">Удалить последовательность</button>
+        `;
+        
+        const nameInput = editor.querySelector('.scene-name-input');
+        nameInput.value = sequence.name;
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (name) {
+                this.sequencer.updateSequence(sequenceId, { name: name });
+                this.renderSequencePanel();
+                this.renderSoundboard();
+            } else {
+                nameInput.value = sequence.name;
+            }
+        });
+        
+        const timeline = editor.querySelector('.sequence-timeline');
+        const soundOptions = Array.from(this.audioEngine.sounds.entries());
+        const cuesElement = editor.querySelector('.sequence-cues');
+        sequence.cues.forEach((cue) => {
+            const sound = this.audioEngine.sounds.get(cue.soundId);
+            if (!sound) return;
+            
+            const marker = document.createElement('div');
+            marker.className = `sequence-marker ${cue.action}`;
+            marker.style.left = `${cue.time / length * 100}%`;
+            marker.style.width = `${(cue.duration || 0) / length * 100}%`;
+            marker.title = `${cue.time} с: ${actions[cue.action]} — ${sound.name}`;
+            timeline.appendChild(marker);
+            
+            const hasValue = cue.action === 'volume' || cue.action === 'fade';
+            const hasDuration = cue.action !== 'volume' && cue.action !== 'loop';
+            const cueElement = document.createElement('div');
+            cueElement.className = 'scene-track sequence-cue';
+            cueElement.innerHTML = `
+                <input type="number" class="fade-input cue-time-input" min="0" step="0.1" value="${KeyedRenderer.escapeHtml(cue.time)}" title="Время от начала, с">
+                <select class="effect-select cue-sound-select"></select>
+                <select class="effect-select cue-action-select">
+                    ${Object.entries(actions).map(([action, label]) => `
+                    <option value="${action}" ${cue.action === action ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                ${hasValue ? `<input type="range" class="volume-slider cue-value-input" min="0" max="1" step="0.05" value="${KeyedRenderer.escapeHtml(cue.value)}" title="Громкость относительно карточки">` : ''}
+                ${cue.action === 'loop' ? `
+                <select class="effect-select cue-value-input">
+                    <option value="1" ${cue.value ? 'selected' : ''}>Вкл</option>
+                    <option value="0" ${cue.value ? '' : 'selected'}>Выкл</option>
+                </select>` : ''}
+                ${hasDuration ? `<input type="number" class="fade-input cue-duration-input" min="0" step="0.5" value="${KeyedRenderer.escapeHtml(cue.duration || 0)}" title="Длительность перехода, с">` : ''}
+                <button class="scene-btn scene-remove-btn" title="Удалить событие">✖</button>
+            `;
+            
+            const soundSelect = cueElement.querySelector('.cue-sound-select');
+            soundOptions.forEach(([soundId, optionSound]) => {
+                const option = document.createElement('option');
+                option.value = soundId;
+                option.textContent = optionSound.name;
+                option.selected = soundId === cue.soundId;
+                soundSelect.appendChild(option);
+            });
+            
+            const updateCue = (updates) => {
+                this.sequencer.updateCue(sequenceId, cue.id, updates);
+                this.renderSequencePanel();
+            };
+            cueElement.querySelector('.cue-time-input').addEventListener('change', (e) => {
+                updateCue({ time: Math.max(0, parseFloat(e.target.value) || 0) });
+            });
+            soundSelect.addEventListener('change', () => updateCue({ soundId: soundSelect.value }));
+            cueElement.querySelector('.cue-action-select').addEventListener('change', (e) => {
+                updateCue({ action: e.target.value });
+            });
+            const valueInput = cueElement.querySelector('.cue-value-input');
+            if (valueInput) {
+                valueInput.addEventListener('change', () => updateCue({ value: parseFloat(valueInput.value) }));
+            }
+            const durationInput = cueElement.querySelector('.cue-duration-input');
+            if (durationInput) {
+                durationInput.addEventListener('change', () => {
+                    updateCue({ duration: Math.max(0, parseFloat(durationInput.value) || 0) });
+                });
+            }
+            cueElement.querySelector('.scene-remove-btn').addEventListener('click', () => {
+                this.sequencer.removeCue(sequenceId, cue.id);
+                this.renderSequencePanel();
+            });
+            
+            cuesElement.appendChild(cueElement);
+        });
         
-        let loadedCount = 0;
+        const soundSelect = editor.querySelector('.scene-track-select');
+        soundOptions.forEach(([soundId, sound]) => {
+            const option = document.createElement('option');
+            option.value = soundId;
+            option.textContent = sound.name;
+            soundSelect.appendChild(option);
+        });
         
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const soundId = `sound_${Date.now()}_${this.soundCounter++}`;
-            
-            const success = await this.audioEngine.loadSound(soundId, file, this.selectedFolder);
-            if (success) {
-                this.loadedSounds.set(soundId, {
-                    id: soundId,
-                    name: file.name.replace(/\.[^/.]+$/, ""),
-                    file: file,
-                    folderId: this.selectedFolder
-                });
-                loadedCount++;
+        const addBtn = editor.querySelector('.scene-add-btn');
+        addBtn.disabled = soundSelect.options.length === 0;
+        addBtn.addEventListener('click', () => {
+            if (soundSelect.value && this.sequencer.addCue(sequenceId, soundSelect.value)) {
+                this.renderSequencePanel();
             }
-        }
-        
-        this.updateStatus(`Успешно загружено ${loadedCount} трек(ов)`);
-        document.getElementById('uploadBtn').disabled = false;
-        this.renderSoundboard();
+        });
         
-        fileInput.value = '';
-    }
-
-    playSound(soundId) {
-        if (this.activeSounds.has(soundId)) {
-            this.stopSound(soundId);
-        } else {
-            const sourceId = this.audioEngine.playSound(soundId);
-            if (sourceId) {
-                this.activeSounds.set(soundId, sourceId);
-                this.updateSoundCard(soundId, true);
+        editor.querySelector('.scene-delete-btn').addEventListener('click', () => {
+            if (confirm('Удалить эту последовательность?')) {
+                this.deleteSequence(sequenceId);
             }
-        }
-        updateActiveCount();
-    }
-
-    stopSound(soundId) {
-        const sourceId = this.activeSounds.get(soundId);
-        if (sourceId) {
-            this.audioEngine.stopSound(sourceId);
-            this.activeSounds.delete(soundId);
-            this.updateSoundCard(soundId, false);
-        }
-        updateActiveCount();
-    }
-
-    togglePauseAll() {
-        const pauseBtn = document.getElementById('pauseAll');
-        const isPaused = pauseBtn.textContent.includes('Возобновить');
+        });
         
-        if (isPaused) {
-            this.audioEngine.resumeAll();
-            pauseBtn.textContent = 'Пауза всех';
-            this.updateStatus('Возобновлено воспроизведение всех треков');
-        } else {
-            this.audioEngine.pauseAll();
-            pauseBtn.textContent = 'Возобновить все';
-            this.updateStatus('Пауза всех треков');
-        }
-    }
-
-    stopAll() {
-        this.audioEngine.stopAll();
-        this.activeSounds.clear();
-        this.renderSoundboard();
-        this.updateStatus('Остановка всех треков');
-        document.getElementById('pauseAll').textContent = 'Пауза всех';
-        updateActiveCount();
-    }
-
-    updateVolume(soundId, volume) {
-        const sourceId = this.activeSounds.get(soundId);
-        if (sourceId) {
-            this.audioEngine.setVolume(sourceId, volume);
-        }
+        return editor;
     }
 
-    toggleLoop(soundId) {
-        const sound = this.audioEngine.sounds.get(soundId);
-        if (sound) {
-            const newLoopState = !sound.loop;
-            this.audioEngine.setLoop(soundId, newLoopState);
-            this.updateLoopButton(soundId, newLoopState);
-            return newLoopState;
-        }
-        return false;
+    updateSequenceState(sequenceId) {
+        const sequenceElement = document.querySelector(`[data-sequence="${sequenceId}"]`);
+        if (!sequenceElement) return;
+        
+        const running = this.sequencer.isRunning(sequenceId);
+        sequenceElement.classList.toggle('running', running);
+        sequenceElement.querySelector('.sequence-play-btn').textContent = running ? '⏹️' : '▶️';
+        this.updateSequencePlayhead();
     }
 
-    showAddFolderDialog() {
-        const folderName = prompt('Введите название новой папки:', 'Новая папка');
-        if (folderName && folderName.trim()) {
-            const folderId = this.audioEngine.createFolder(folderName.trim());
-            this.updateStatus(`Создана папка "${folderName}"`);
-            this.renderFolderPanel();
-            this.selectFolder(folderId);
+    updateSequencePlayhead() {
+        const sequence = this.sequencer.sequences.get(this.editingSequence);
+        const playhead = document.querySelector('.sequence-editor .sequence-playhead');
+        if (!sequence || !playhead) return;
+        
+        const position = this.sequencer.getRunPosition(sequence.id);
+        playhead.hidden = position === null;
+        if (position !== null) {
+            const length = Math.max(1, this.sequencer.getLength(sequence));
+            playhead.style.left = `${Math.min(100, position / length * 100)}%`;
         }
     }
 
-    selectFolder(folderId) {
-        this.selectedFolder = folderId;
-        this.renderFolderPanel();
-        this.renderSoundboard();
+    renderMixerPanel() {
+        const mixerChannels = document.getElementById('mixerChannels');
+        mixerChannels.innerHTML = '';
         
-        const folder = this.audioEngine.folders.get(folderId);
-        if (folder) {
-            this.updateStatus(`Выбрана папка: ${folder.name}`);
-        }
+        const masterStrip = document.createElement('div');
+        masterStrip.className = 'channel-strip master';
+        masterStrip.innerHTML = `
+            <div class="channel-name">🎚️ Мастер</div>
+            <div class="level-meter"><div class="level-fill" data-meter="master"></div></div>
+            <input type="range" class="volume-slider" min="0" max="1" step="0.05" value="${KeyedRenderer.escapeHtml(this.audioEngine.masterVolume)}">
+        `;
+        masterStrip.querySelector('.volume-slider').addEventListener('input', (e) => {
+            this.setMasterVolume(parseFloat(e.target.value));
+        });
+        mixerChannels.appendChild(masterStrip);
+        mixerChannels.appendChild(this.createVoiceStrip());
+        this.updateVoiceStrip();
+        
+        this.audioEngine.folders.forEach((folder, folderId) => {
+            const bus = this.audioEngine.getFolderBus(folderId);
+            const strip = document.createElement('div');
+            const playlist = this.playlists.getSettings(folderId);
+            strip.className = 'channel-strip';
+            strip.dataset.strip = folderId;
+            strip.style.borderTopColor = folder.color;
+            strip.innerHTML = `
+                <div class="channel-name">
+                    <span>${KeyedRenderer.escapeHtml(folder.icon)}</span>
+                    <span class="channel-title"></span>
+                    <span class="folder-count" data-channel-count="${folderId}">0</span>
+                </div>
+                <div class="level-meter"><div class="level-fill" data-meter="${folderId}"></div></div>
+                <input type="range" class="volume-slider" min="0" max="1" step="0.05" value="${KeyedRenderer.escapeHtml(folder.volume ?? 1.0)}">
+                <div class="channel-buttons">
+                    <button class="channel-btn mute-btn ${folder.muted ? 'active' : ''}" title="Выключить звук">M</button>
+                    <button class="channel-btn solo-btn ${bus.solo ? 'active' : ''}" title="Соло">S</button>
+                </div>
+                <div class="channel-buttons playlist-controls">
+                    <button class="channel-btn playlist-prev-btn" title="Предыдущий трек">⏮</button>
+                    <button class="channel-btn playlist-play-btn" title="Плейлист папки">▶</button>
+                    <button class="channel-btn playlist-next-btn" title="Следующий трек">⏭</button>
+                    <button class="channel-btn playlist-shuffle-btn" title="Перемешать">🔀</button>
+                    <button class="channel-btn playlist-repeat-btn" title="Повторять все">🔁</button>
+                </div>
+                <select class="playlist-transition">
+                    <option value="gap">С паузой</option>
+                    <option value="gapless">Без пауз</option>
+                    <option value="crossfade">Кроссфейд ${playlist.crossfade} с</option>
+                </select>
+                <div class="now-playing"></div>
+            `;
+            strip.querySelector('.channel-title').textContent = folder.name;
+            
+            strip.querySelector('.volume-slider').addEventListener('input', (e) => {
+                this.setFolderVolume(folderId, parseFloat(e.target.value));
+            });
+            strip.querySelector('.mute-btn').addEventListener('click', () => this.toggleFolderMute(folderId));
+            strip.querySelector('.solo-btn').addEventListener('click', () => this.toggleFolderSolo(folderId));
+            strip.querySelector('.playlist-play-btn').addEventListener('click', () => this.togglePlaylist(folderId));
+            strip.querySelector('.playlist-prev-btn').addEventListener('click', () => this.skipPlaylist(folderId, -1));
+            strip.querySelector('.playlist-next-btn').addEventListener('click', () => this.skipPlaylist(folderId, 1));
+            strip.querySelector('.playlist-shuffle-btn').addEventListener('click', () => {
+                this.setPlaylistSetting(folderId, 'shuffle', !this.playlists.getSettings(folderId).shuffle);
+            });
+            strip.querySelector('.playlist-repeat-btn').addEventListener('click', () => {
+                this.setPlaylistSetting(folderId, 'repeat', !this.playlists.getSettings(folderId).repeat);
+            });
+            
+            const transitionSelect = strip.querySelector('.playlist-transition');
+            transitionSelect.value = playlist.transition;
+            transitionSelect.addEventListener('change', () => {
+                this.setPlaylistSetting(folderId, 'transition', transitionSelect.value);
+            });
+            
+            mixerChannels.appendChild(strip);
+            this.renderNowPlaying(folderId);
+        });
     }
 
-    toggleEditMode() {
-        this.editMode = !this.editMode;
-        const editBtn = document.getElementById('toggleEditBtn');
+    createVoiceStrip() {
+        const voice = this.audioEngine.voice;
+        const strip = document.createElement('div');
+        strip.className = 'channel-strip voice';
+        strip.dataset.strip = 'voice';
+        strip.innerHTML = `
+            <div class="channel-name">🎙️ Голос</div>
+            <div class="level-meter"><div class="level-fill" data-meter="voice"></div></div>
+            <input type="range" class="volume-slider" min="0" max="1" step="0.05" value="${KeyedRenderer.escapeHtml(voice.volume)}">
+            <div class="channel-buttons">
+                <button class="channel-btn voice-mic-btn" title="Микрофон"></button>
+                <button class="channel-btn voice-monitor-btn" title="Не выводить голос в колонки (запись продолжится)">🔇</button>
+                <button class="channel-btn voice-file-btn" title="Пропустить аудиофайл через канал вместо микрофона">📂</button>
+            </div>
+            <select class="playlist-transition voice-preset"></select>
+            <input type="file" class="voice-file-input" accept="audio/*" hidden>
+        `;
         
-        if (this.editMode) {
-            editBtn.textContent = 'Завершить редактирование';
-            editBtn.classList.add('active');
-            this.updateStatus('Режим редактирования включен');
-        } else {
-            editBtn.textContent = 'Режим редактирования';
-            editBtn.classList.remove('active');
-            this.updateStatus('Режим редактирования выключен');
-        }
+        const presetSelect = strip.querySelector('.voice-preset');
+        Object.entries(VoiceChannel.getPresets()).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            presetSelect.appendChild(option);
+        });
         
-        this.renderSoundboard();
+        const fileInput = strip.querySelector('.voice-file-input');
+        strip.querySelector('.volume-slider').addEventListener('input', (e) => {
+            this.setVoiceSetting('volume', parseFloat(e.target.value));
+        });
+        strip.querySelector('.voice-mic-btn').addEventListener('click', () => this.toggleMicrophone());
+        strip.querySelector('.voice-monitor-btn').addEventListener('click', () => {
+            this.setVoiceSetting('monitoring', !voice.monitoring);
+        });
+        strip.querySelector('.voice-file-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.playVoiceFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        presetSelect.addEventListener('change', () => this.setVoiceSetting('preset', presetSelect.value));
+        return strip;
     }
 
-    renderFolderPanel() {
-        const folderPanel = document.getElementById('folderPanel');
-        folderPanel.innerHTML = '';
-        
-        this.audioEngine.folders.forEach((folder, folderId) => {
-            const folderElement = document.createElement('div');
-            folderElement.className = `folder-item ${this.selectedFolder === folderId ? 'active' : ''}`;
-            folderElement.style.borderLeftColor = folder.color;
-            folderElement.innerHTML = `
-                <div class="folder-icon">${folder.icon}</div>
-                <div class="folder-name">${folder.name}</div>
-                <div class="folder-count">${this.audioEngine.getSoundsByFolder(folderId).length}</div>
-            `;
+    startLevelMeters() {
+        const updateMeters = () => {
+            document.querySelectorAll('#mixerChannels [data-meter]').forEach((meter) => {
+                const channelId = meter.dataset.meter;
+                let level;
+                if (channelId === 'master') {
+                    level = this.audioEngine.getMasterLevel();
+                } else if (channelId === 'voice') {
+                    level = this.audioEngine.getVoiceLevel();
+                } else {
+                    level = this.audioEngine.getFolderLevel(channelId);
+                }
+                meter.style.width = `${Math.min(100, level * 100)}%`;
+            });
             
-            folderElement.addEventListener('click', () => {
-                this.selectFolder(folderId);
+            document.querySelectorAll('#mixerChannels [data-channel-count]').forEach((counter) => {
+                counter.textContent = this.audioEngine.getActiveSoundsByFolder(counter.dataset.channelCount).length;
             });
             
-            folderPanel.appendChild(folderElement);
-        });
+            requestAnimationFrame(updateMeters);
+        };
+        requestAnimationFrame(updateMeters);
     }
 
     renderSoundboard() {
         const soundboard = document.getElementById('soundboard');
-        soundboard.innerHTML = '';
+        this.renderTagFilters();
         
-        const folderSounds = this.audioEngine.getSoundsByFolder(this.selectedFolder);
+        const folderSounds = this.getVisibleSounds();
         
         if (folderSounds.length === 0) {
+            let emptyText = this.selectedFolder === 'default' ? 'Нет загруженных треков' : 'Папка пуста';
+            if (this.searchQuery.trim() !== '' || this.activeTags.size > 0) {
+                emptyText = 'Ничего не найдено';
+            } else if (this.selectedFolder === 'favorites') {
+                emptyText = 'Нет избранных звуков';
+            }
+            
+            this.soundCards.clear();
+            soundboard.innerHTML = '';
             const emptyCard = document.createElement('div');
             emptyCard.className = 'sound-card empty';
             emptyCard.innerHTML = `
                 <div class="sound-icon">🎵</div>
-                <div class="sound-name">${this.selectedFolder === 'default' ? 'Нет загруженных треков' : 'Папка пуста'}</div>
+                <div class="sound-name">${emptyText}</div>
                 <div class="sound-controls">
                     <button class="play-btn" disabled>Воспроизвести</button>
                     <button class="stop-btn" disabled>Остановить</button>
@@ -474,115 +3335,539 @@ class SoundboardApp {
             return;
         }
         
-        folderSounds.forEach((sound) => {
-            const soundId = sound.id;
-            const isActive = this.activeSounds.has(soundId);
-            const isLoop = sound.loop;
-            
-            const soundCard = document.createElement('div');
-            soundCard.className = `sound-card ${isActive ? 'active' : ''}`;
-            soundCard.innerHTML = `
-                ${this.editMode ? '<button class="delete-btn" data-sound="${soundId}">🗑️</button>' : ''}
-                <div class="sound-icon">${this.getSoundEmoji(sound.name)}</div>
-                <div class="sound-name">${sound.name}</div>
-                <div class="sound-settings">
-                    <div class="volume-control">
-                        <span>🔈</span>
-                        <input type="range" class="volume-slider" min="0" max="1" step="0.1" value="${sound.volume}">
-                    </div>
-                    <button class="loop-btn ${isLoop ? 'active' : ''}" data-sound="${soundId}">
-                        ${isLoop ? '🔂' : '🔁'}
-                    </button>
-                </div>
-                <div class="sound-controls">
-                    <button class="play-btn ${isActive ? 'playing' : ''}" data-sound="${soundId}">
-                        ${isActive ? '⏸️' : '▶️'}
-                    </button>
-                    <button class="stop-btn" data-sound="${soundId}">⏹️</button>
+        this.soundCards.render(folderSounds);
+    }
+
+    getSoundCardSignature(sound) {
+        const folder = this.audioEngine.folders.get(sound.folderId);
+        const showFolder = this.isLibraryView();
+        const effectsExpanded = this.expandedEffects.has(sound.id);
+        return JSON.stringify([
+            sound.name, sound.duration, sound.hotkey, sound.fadeIn, sound.fadeOut, sound.role, sound.playback,
+            sound.random, sound.tags, sound.favorite, sound.folderId,
+            showFolder && folder ? [folder.icon, folder.name] : null,
+            sound.tags.filter((tag) => this.activeTags.has(tag)),
+            this.editMode, this.hotkeys.recordingSound === sound.id,
+            this.editMode ? this.getSequenceOptions() : null,
+            effectsExpanded, effectsExpanded ? sound.effects : null
+        ]);
+    }
+
+    createSoundCard(sound) {
+        const soundId = sound.id;
+        const random = sound.random;
+        const showFolder = this.isLibraryView();
+        
+        const soundCard = document.createElement('div');
+        soundCard.className = 'sound-card';
+        soundCard.dataset.card = soundId;
+        
+        soundCard.addEventListener('pointerdown', (e) => {
+            soundCard.draggable = !e.target.closest('input, select, button');
+        });
+        soundCard.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-dnd-sound', soundId);
+            e.dataTransfer.effectAllowed = 'move';
+            soundCard.classList.add('dragging');
+        });
+        soundCard.addEventListener('dragend', () => {
+            soundCard.classList.remove('dragging');
+        });
+        this.bindDropTarget(soundCard, sound.folderId, soundId);
+        soundCard.innerHTML = `
+            ${this.editMode ? `<button class="delete-btn" data-sound="${soundId}">🗑️</button>` : ''}
+            ${sound.hotkey ? `<div class="hotkey-badge">${KeyedRenderer.escapeHtml(HotkeyManager.getKeyLabel(sound.hotkey))}</div>` : ''}
+            <div class="sound-icon">${this.getSoundEmoji(sound.name)}</div>
+            <div class="sound-name">${KeyedRenderer.escapeHtml(sound.name)}</div>
+            ${showFolder ? '<div class="sound-folder"></div>' : ''}
+            <div class="sound-tags"></div>
+            <div class="sound-settings">
+                <div class="volume-control">
+                    <span>🔈</span>
+                    <input type="range" class="volume-slider" min="0" max="1" step="0.1" value="${KeyedRenderer.escapeHtml(sound.volume)}">
                 </div>
-            `;
-            
-            const playBtn = soundCard.querySelector('.play-btn');
-            const stopBtn = soundCard.querySelector('.stop-btn');
-            const volumeSlider = soundCard.querySelector('.volume-slider');
-            const loopBtn = soundCard.querySelector('.loop-btn');
-            const deleteBtn = soundCard.querySelector('.delete-btn');
-            
-            playBtn.addEventListener('click', (e) => {
+                <button class="loop-btn" data-sound="${soundId}">🔁</button>
+                <button class="loop-btn random-btn ${random.enabled ? 'active' : ''}" title="Случайный запуск">🎲</button>
+                <button class="loop-btn favorite-btn ${sound.favorite ? 'active' : ''}" title="Избранное">${sound.favorite ? '⭐' : '☆'}</button>
+                <button class="loop-btn sync-select-btn" title="Выбрать для синхронизации" hidden>🔗</button>
+                ${this.editMode ? `
+                <div class="fade-control playback-control">
+                    <label title="Скорость воспроизведения">× <input type="number" class="fade-input playback-input" data-playback="rate" min="0.25" max="4" step="0.05" value="${KeyedRenderer.escapeHtml(sound.playback.rate)}"></label>
+                    <label title="Расстройка в центах">± <input type="number" class="fade-input playback-input" data-playback="detune" min="-1200" max="1200" step="10" value="${KeyedRenderer.escapeHtml(sound.playback.detune)}"> ц</label>
+                    <label title="Случайный разброс высоты при каждом запуске">🎲 <input type="number" class="fade-input playback-input" data-playback="variation" min="0" max="12" step="0.5" value="${KeyedRenderer.escapeHtml(sound.playback.variation)}"> пт</label>
+                </div>` : ''}
+            </div>
+            ${this.editMode ? `
+            <div class="tags-control">
+                <input type="text" class="tags-input" placeholder="Теги через запятую">
+                <div class="tag-suggestions"></div>
+            </div>
+            <div class="fade-control">
+                <label>Вход <input type="number" class="fade-input fade-in-input" min="0" max="30" step="0.5" value="${KeyedRenderer.escapeHtml(sound.fadeIn)}"> с</label>
+                <label>Выход <input type="number" class="fade-input fade-out-input" min="0" max="30" step="0.5" value="${KeyedRenderer.escapeHtml(sound.fadeOut)}"> с</label>
+            </div>
+            <button class="hotkey-btn ${this.hotkeys.recordingSound === soundId ? 'recording' : ''}">
+                ⌨️ ${this.hotkeys.recordingSound === soundId ? 'Нажмите клавишу...' : (sound.hotkey ? KeyedRenderer.escapeHtml(HotkeyManager.getKeyLabel(sound.hotkey)) : 'Назначить клавишу')}
+            </button>
+            <label class="effect-control">
+                <span>Приглушение</span>
+                <select class="effect-select role-select">
+                    <option value="folder" ${sound.role === 'folder' ? 'selected' : ''}>Как у папки</option>
+                    <option value="music" ${sound.role === 'music' ? 'selected' : ''}>Музыка</option>
+                    <option value="effects" ${sound.role === 'effects' ? 'selected' : ''}>Эффект</option>
+                    <option value="none" ${sound.role === 'none' ? 'selected' : ''}>Не участвует</option>
+                </select>
+            </label>
+            <label class="effect-control">
+                <span>Запускает</span>
+                <select class="effect-select sequence-link-select">
+                    <option value="">Только звук</option>
+                    ${this.getSequenceOptions().map(([id, name]) => `
+                    <option value="${KeyedRenderer.escapeHtml(id)}" ${sound.sequenceId === id ? 'selected' : ''}>⏱️ ${KeyedRenderer.escapeHtml(name)}</option>`).join('')}
+                </select>
+            </label>
+            <button class="region-btn">〰️ Обрезка и петля</button>
+            <button class="effects-toggle-btn ${this.expandedEffects.has(soundId) ? 'active' : ''}">🎛️ Эффекты</button>
+            ${random.enabled ? `
+            <div class="random-control">
+                <label class="effect-control">
+                    <span>Интервал, с</span>
+                    <span>
+                        <input type="number" class="fade-input random-input" data-random="minInterval" min="0.5" step="0.5" value="${KeyedRenderer.escapeHtml(random.minInterval)}">
+                        –
+                        <input type="number" class="fade-input random-input" data-random="maxInterval" min="0.5" step="0.5" value="${KeyedRenderer.escapeHtml(random.maxInterval)}">
+                    </span>
+                </label>
+                <label class="effect-control">
+                    <span>Разброс громкости</span>
+                    <input type="range" class="effect-slider random-input" data-random="volumeVariation" min="0" max="1" step="0.05" value="${KeyedRenderer.escapeHtml(random.volumeVariation)}">
+                </label>
+                <label class="effect-control">
+                    <span>Разброс высоты, пт</span>
+                    <input type="number" class="fade-input random-input" data-random="pitchVariation" min="0" max="12" step="0.5" value="${KeyedRenderer.escapeHtml(random.pitchVariation)}">
+                </label>
+                <label class="effect-control">
+                    <span>Источник</span>
+                    <select class="effect-select random-input" data-random="pool">
+                        <option value="sound" ${random.pool !== 'folder' ? 'selected' : ''}>Этот звук</option>
+                        <option value="folder" ${random.pool === 'folder' ? 'selected' : ''}>Вся папка</option>
+                    </select>
+                </label>
+            </div>` : ''}` : ''}
+            <div class="progress-control">
+                <input type="range" class="progress-slider" min="0" max="${sound.duration || 0}" step="0.1" value="0" disabled>
+                <div class="progress-time">${this.formatTime(0)} / ${this.formatTime(sound.duration)}</div>
+            </div>
+            <div class="sound-controls">
+                <button class="play-btn" data-sound="${soundId}">▶️</button>
+                <button class="crossfade-btn" data-sound="${soundId}" title="Плавный переход к этому треку">🔀</button>
+                <button class="stop-btn" data-sound="${soundId}">⏹️</button>
+            </div>
+        `;
+        
+        const playBtn = soundCard.querySelector('.play-btn');
+        const stopBtn = soundCard.querySelector('.stop-btn');
+        const volumeSlider = soundCard.querySelector('.volume-slider');
+        const loopBtn = soundCard.querySelector('.loop-btn');
+        const randomBtn = soundCard.querySelector('.random-btn');
+        const deleteBtn = soundCard.querySelector('.delete-btn');
+        const crossfadeBtn = soundCard.querySelector('.crossfade-btn');
+        const fadeInInput = soundCard.querySelector('.fade-in-input');
+        const fadeOutInput = soundCard.querySelector('.fade-out-input');
+        const progressSlider = soundCard.querySelector('.progress-slider');
+        const hotkeyBtn = soundCard.querySelector('.hotkey-btn');
+        const effectsToggleBtn = soundCard.querySelector('.effects-toggle-btn');
+        const regionBtn = soundCard.querySelector('.region-btn');
+        const favoriteBtn = soundCard.querySelector('.favorite-btn');
+        const syncSelectBtn = soundCard.querySelector('.sync-select-btn');
+        const roleSelect = soundCard.querySelector('.role-select');
+        const tagsInput = soundCard.querySelector('.tags-input');
+        
+        const folderLabel = soundCard.querySelector('.sound-folder');
+        const folder = this.audioEngine.folders.get(sound.folderId);
+        if (folderLabel && folder) {
+            folderLabel.textContent = `${folder.icon} ${folder.name}`;
+        }
+        
+        const tagsContainer = soundCard.querySelector('.sound-tags');
+        sound.tags.forEach((tag) => {
+            const chip = document.createElement('button');
+            chip.className = `tag-chip ${this.activeTags.has(tag) ? 'active' : ''}`;
+            chip.textContent = `#${tag}`;
+            chip.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.audioEngine.resumeAudioContext();
-                this.playSound(soundId);
+                this.toggleTagFilter(tag);
+            });
+            tagsContainer.appendChild(chip);
+        });
+        
+        if (tagsInput) {
+            tagsInput.value = sound.tags.join(', ');
+            tagsInput.addEventListener('change', () => {
+                this.setSoundTags(soundId, tagsInput.value.split(','));
             });
             
-            stopBtn.addEventListener('click', (e) => {
+            const suggestions = soundCard.querySelector('.tag-suggestions');
+            this.getTagSuggestions(sound.name)
+                .filter((tag) => !sound.tags.includes(tag))
+                .forEach((tag) => {
+                    const suggestionBtn = document.createElement('button');
+                    suggestionBtn.className = 'tag-chip suggestion';
+                    suggestionBtn.textContent = `+ ${tag}`;
+                    suggestionBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.setSoundTags(soundId, [...sound.tags, tag]);
+                    });
+                    suggestions.appendChild(suggestionBtn);
+                });
+        }
+        
+        if (hotkeyBtn) {
+            hotkeyBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.stopSound(soundId);
+                this.hotkeys.startRecording(soundId);
             });
-            
-            volumeSlider.addEventListener('input', (e) => {
-                const volume = parseFloat(e.target.value);
-                this.updateVolume(soundId, volume);
+        }
+        
+        const sequenceSelect = soundCard.querySelector('.sequence-link-select');
+        if (sequenceSelect) {
+            sequenceSelect.addEventListener('change', () => this.setSoundSequence(soundId, sequenceSelect.value || null));
+        }
+        
+        if (roleSelect) {
+            roleSelect.addEventListener('change', () => this.setSoundRole(soundId, roleSelect.value));
+        }
+        
+        if (regionBtn) {
+            regionBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.waveformEditor.open(soundId);
             });
-            
-            loopBtn.addEventListener('click', (e) => {
+        }
+        
+        if (effectsToggleBtn) {
+            effectsToggleBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                const newLoopState = this.toggleLoop(soundId);
-                loopBtn.classList.toggle('active', newLoopState);
-                loopBtn.innerHTML = newLoopState ? '🔂' : '🔁';
+                if (this.expandedEffects.has(soundId)) {
+                    this.expandedEffects.delete(soundId);
+                } else {
+                    this.expandedEffects.add(soundId);
+                }
+                this.renderSoundboard();
             });
             
-            if (deleteBtn) {
-                deleteBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    if (confirm('Удалить этот звук?')) {
-                        this.deleteSound(soundId);
-                    }
-                });
+            if (this.expandedEffects.has(soundId)) {
+                effectsToggleBtn.insertAdjacentElement('afterend', this.renderEffectsPanel(soundId));
+            }
+        }
+        
+        soundCard.querySelectorAll('.playback-input').forEach((input) => {
+            input.addEventListener('change', () => {
+                this.setSoundPlayback(soundId, input.dataset.playback, parseFloat(input.value));
+            });
+        });
+        
+        soundCard.querySelectorAll('.random-input').forEach((input) => {
+            input.addEventListener('change', () => {
+                const key = input.dataset.random;
+                const value = key === 'pool' ? input.value : Math.max(0, parseFloat(input.value) || 0);
+                this.setRandomSetting(soundId, key, value);
+            });
+        });
+        
+        playBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.audioEngine.resumeAudioContext();
+            if (this.getLinkedSequenceId(soundId)) {
+                this.playSound(soundId);
+            } else if (this.activeSounds.has(soundId) || this.audioEngine.randomSchedulers.has(soundId)) {
+                this.togglePauseSound(soundId);
+            } else {
+                this.playSound(soundId);
             }
+        });
+        
+        progressSlider.addEventListener('input', (e) => {
+            this.scrubbingSound = soundId;
+            const timeEl = soundCard.querySelector('.progress-time');
+            const duration = this.audioEngine.sounds.get(soundId).duration;
+            timeEl.textContent = `${this.formatTime(parseFloat(e.target.value))} / ${this.formatTime(duration)}`;
+        });
+        
+        progressSlider.addEventListener('change', (e) => {
+            this.scrubbingSound = null;
+            this.seekSound(soundId, parseFloat(e.target.value));
+        });
+        
+        stopBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.stopSound(soundId);
+        });
+        
+        crossfadeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.audioEngine.resumeAudioContext();
+            this.crossfadeTo(soundId);
+        });
+        
+        if (fadeInInput && fadeOutInput) {
+            const onFadeChange = () => {
+                this.setSoundFade(soundId, parseFloat(fadeInInput.value), parseFloat(fadeOutInput.value));
+            };
+            fadeInInput.addEventListener('change', onFadeChange);
+            fadeOutInput.addEventListener('change', onFadeChange);
+        }
+        
+        volumeSlider.addEventListener('input', (e) => {
+            const volume = parseFloat(e.target.value);
+            this.updateVolume(soundId, volume);
+        });
+        
+        loopBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleLoop(soundId);
+        });
+        
+        randomBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleRandomMode(soundId);
+        });
+        
+        favoriteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleFavorite(soundId);
+        });
+        
+        syncSelectBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleSyncSelection(soundId);
+        });
+        
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (confirm('Удалить этот звук?')) {
+                    this.deleteSound(soundId);
+                }
+            });
+        }
+        
+        return soundCard;
+    }
+
+    patchSoundCard(card, soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!sound) return;
+        
+        const sourceId = this.activeSounds.get(soundId);
+        const isActive = !!sourceId || this.audioEngine.randomSchedulers.has(soundId);
+        const isPlaying = isActive && !(sourceId && this.audioEngine.isPaused(sourceId)) &&
+            !this.audioEngine.isRandomPaused(soundId);
+        
+        card.classList.toggle('active', isActive);
+        card.classList.toggle('paused', isActive && !isPlaying);
+        
+        const playBtn = card.querySelector('.play-btn');
+        playBtn.classList.toggle('playing', isPlaying);
+        playBtn.textContent = isPlaying ? '⏸️' : '▶️';
+        
+        const loopBtn = card.querySelector('.loop-btn');
+        loopBtn.classList.toggle('active', sound.loop);
+        loopBtn.textContent = sound.loop ? '🔂' : '🔁';
+        
+        const syncSelectBtn = card.querySelector('.sync-select-btn');
+        syncSelectBtn.hidden = !sourceId;
+        syncSelectBtn.classList.toggle('active', this.syncSelection.has(soundId));
+        
+        const volumeSlider = card.querySelector('.volume-slider');
+        if (document.activeElement !== volumeSlider) {
+            volumeSlider.value = sound.volume;
+        }
+        this.updateProgress(soundId);
+    }
+
+    refreshSoundCard(soundId) {
+        this.soundCards.patch(soundId);
+    }
+
+    renderEffectsPanel(soundId) {
+        const effects = this.audioEngine.sounds.get(soundId).effects;
+        const reverbPresets = EffectChain.getReverbPresets();
+        const lowpassPosition = Math.log(effects.lowpass / 200) / Math.log(100);
+        
+        const panel = document.createElement('div');
+        panel.className = 'effects-panel';
+        panel.innerHTML = `
+            <label class="effect-control">
+                <span>Панорама</span>
+                <input type="range" class="effect-slider" data-effect="pan" min="-1" max="1" step="0.1" value="${KeyedRenderer.escapeHtml(effects.pan)}">
+            </label>
+            <label class="effect-control">
+                <span>Низкие</span>
+                <input type="range" class="effect-slider" data-effect="low" min="-12" max="12" step="1" value="${KeyedRenderer.escapeHtml(effects.low)}">
+            </label>
+            <label class="effect-control">
+                <span>Средние</span>
+                <input type="range" class="effect-slider" data-effect="mid" min="-12" max="12" step="1" value="${KeyedRenderer.escapeHtml(effects.mid)}">
+            </label>
+            <label class="effect-control">
+                <span>Высокие</span>
+                <input type="range" class="effect-slider" data-effect="high" min="-12" max="12" step="1" value="${KeyedRenderer.escapeHtml(effects.high)}">
+            </label>
+            <label class="effect-control">
+                <span>Приглушение</span>
+                <input type="range" class="effect-slider" data-effect="lowpass" min="0" max="1" step="0.01" value="${1 - lowpassPosition}">
+            </label>
+            <label class="effect-control">
+                <span>Реверберация</span>
+                <select class="effect-select" data-effect="reverb">
+                    <option value="none">Нет</option>
+                    ${Object.keys(reverbPresets).map((type) => `<option value="${type}">${reverbPresets[type].label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="effect-control">
+                <span>Уровень</span>
+                <input type="range" class="effect-slider" data-effect="reverbMix" min="0" max="1" step="0.05" value="${KeyedRenderer.escapeHtml(effects.reverbMix)}">
+            </label>
+        `;
+        panel.querySelector('.effect-select').value = effects.reverb;
+        
+        panel.querySelectorAll('[data-effect]').forEach((control) => {
+            const key = control.dataset.effect;
+            const readValue = () => {
+                if (key === 'reverb') return control.value;
+                if (key === 'lowpass') return 200 * Math.pow(100, 1 - parseFloat(control.value));
+                return parseFloat(control.value);
+            };
             
-            soundboard.appendChild(soundCard);
+            control.addEventListener('input', () => {
+                this.audioEngine.setSoundEffect(soundId, key, readValue());
+            });
+            control.addEventListener('change', () => {
+                this.audioEngine.setSoundEffect(soundId, key, readValue());
+                this.saveSoundSettings(soundId);
+            });
         });
+        
+        return panel;
+    }
+
+    startProgressUpdates() {
+        setInterval(() => {
+            this.activeSounds.forEach((_, soundId) => {
+                if (soundId !== this.scrubbingSound) {
+                    this.updateProgress(soundId);
+                }
+            });
+            this.updateSequencePlayhead();
+        }, 250);
+    }
+
+    updateProgress(soundId) {
+        const card = this.soundCards.getElement(soundId);
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!card || !sound) return;
+        
+        const sourceId = this.activeSounds.get(soundId);
+        const position = sourceId ? this.audioEngine.getPlaybackPosition(sourceId) : 0;
+        const slider = card.querySelector('.progress-slider');
+        const timeEl = card.querySelector('.progress-time');
+        
+        slider.max = sound.duration || 0;
+        slider.value = position;
+        slider.disabled = !sourceId;
+        timeEl.textContent = `${this.formatTime(position)} / ${this.formatTime(sound.duration)}`;
+    }
+
+    formatTime(seconds) {
+        if (seconds === null || seconds === undefined || isNaN(seconds)) return '--:--';
+        
+        const totalSeconds = Math.floor(seconds);
+        const minutes = Math.floor(totalSeconds / 60);
+        const secs = totalSeconds % 60;
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
     }
 
     deleteSound(soundId) {
-        this.stopSound(soundId);
-        this.audioEngine.sounds.delete(soundId);
-        this.loadedSounds.delete(soundId);
+        this.removeSoundData(soundId);
+        this.renderScenePanel();
+        this.renderSequencePanel();
         this.renderSoundboard();
         this.updateStatus('Звук удален');
     }
 
-    updateSoundCard(soundId, isActive) {
-        const card = document.querySelector(`[data-sound="${soundId}"]`)?.closest('.sound-card');
-        if (card) {
-            card.classList.toggle('active', isActive);
-            const playBtn = card.querySelector('.play-btn');
-            if (playBtn) {
-                playBtn.classList.toggle('playing', isActive);
-                playBtn.innerHTML = isActive ? '⏸️' : '▶️';
-            }
-        }
+    removeSoundData(soundId) {
+        this.stopSound(soundId);
+        this.deselectSync(soundId);
+        this.audioEngine.sounds.delete(soundId);
+        this.loadedSounds.delete(soundId);
+        this.persist(() => this.storage.deleteSound(soundId));
+        this.sceneManager.removeSound(soundId);
+        this.sequencer.removeSound(soundId);
     }
 
-    updateLoopButton(soundId, isLoop) {
-        const card = document.querySelector(`[data-sound="${soundId}"]`)?.closest('.sound-card');
-        if (card) {
-            const loopBtn = card.querySelector('.loop-btn');
-            if (loopBtn) {
-                loopBtn.classList.toggle('active', isLoop);
-                loopBtn.innerHTML = isLoop ? '🔂' : '🔁';
+    deleteFolder(folderId, deleteSounds = false) {
+        if (folderId === 'default' || !this.audioEngine.folders.has(folderId)) return false;
+        
+        const folderIds = [folderId, ...this.audioEngine.getFolderDescendants(folderId)].reverse();
+        let deletedSoundCount = 0;
+        
+        folderIds.forEach((id) => {
+            this.playlists.stop(id);
+            const folderSounds = this.audioEngine.getSoundsByFolder(id);
+            if (deleteSounds) {
+                folderSounds.forEach((sound) => this.removeSoundData(sound.id));
+                deletedSoundCount += folderSounds.length;
             }
+            if (!this.audioEngine.deleteFolder(id)) return;
+            
+            const movedSounds = deleteSounds ? [] : folderSounds;
+            movedSounds.forEach((sound) => {
+                const loadedSound = this.loadedSounds.get(sound.id);
+                if (loadedSound) loadedSound.folderId = 'default';
+            });
+            
+            this.persist(async () => {
+                await this.storage.deleteFolder(id);
+                await Promise.all(movedSounds.map((sound) =>
+                    this.storage.updateSound(sound.id, this.audioEngine.getSoundSettings(sound.id))
+                ));
+            });
+        });
+        
+        if (this.selectedFolder !== 'favorites' && !this.audioEngine.folders.has(this.selectedFolder)) {
+            this.selectedFolder = 'default';
         }
+        this.updateStatus(deleteSounds ? `Папка удалена вместе с ${deletedSoundCount} звук(ами)` : 'Папка удалена');
+        this.renderFolderPanel();
+        this.renderScenePanel();
+        this.renderSequencePanel();
+        this.renderSoundboard();
+        this.renderMixerPanel();
+        return true;
     }
 
     getSoundEmoji(name) {
         const nameLower = name.toLowerCase();
-        if (nameLower.includes('dragon') || nameLower.includes('fire')) return '🐉';
-        if (nameLower.includes('sword') || nameLower.includes('fight')) return '⚔️';
-        if (nameLower.includes('magic') || nameLower.includes('spell')) return '✨';
-        if (nameLower.includes('forest') || nameLower.includes('nature')) return '🌲';
-        if (nameLower.includes('rain') || nameLower.includes('storm')) return '⛈️';
-        return '🎵';
+        const match = this.getSoundKeywords().find(({ words }) =>
+            Object.keys(words).some((word) => nameLower.includes(word))
+        );
+        return match ? match.emoji : '🎵';
+    }
+
+    getTagSuggestions(name) {
+        const nameLower = name.toLowerCase();
+        const suggestions = [];
+        this.getSoundKeywords().forEach(({ words }) => {
+            Object.entries(words).forEach(([word, tag]) => {
+                if (nameLower.includes(word)) suggestions.push(tag);
+            });
+        });
+        return suggestions;
+    }
+
+    updateActiveCount(count = this.audioEngine.getActiveCount()) {
+        document.getElementById('activeCount').textContent = count;
     }
 
     updateStatus(message) {
@@ -605,17 +3890,14 @@ class SoundboardApp {
 
 let app;
 
-function updateActiveCount() {
-    const activeCount = app.audioEngine.getActiveCount();
-    document.getElementById('activeCount').textContent = activeCount;
-}
-
 window.addEventListener('DOMContentLoaded', () => {
     app = new SoundboardApp();
     
     if ('serviceWorker' in navigator) {
         window.addEventListener('load', () => {
-            navigator.serviceWorker.register('sw.js').catch(error => {
+            navigator.serviceWorker.register('sw.js').then(registration => {
+                app.watchServiceWorker(registration);
+            }).catch(error => {
                 console.log('Регистрация ServiceWorker не удалась:', error);
             });
         });
@@ -0,0 +1,428 @@
+// bundle.js
+class ZipArchive {
+    static crc32(bytes) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipArchive.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static async create(entries) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const data = typeof entry.data === 'string'
+                ? encoder.encode(entry.data)
+                : new Uint8Array(entry.data instanceof Blob ? await entry.data.arrayBuffer() : entry.data);
+            const crc = ZipArchive.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            parts.push(local, name, data);
+            centralParts.push(central, name);
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    constructor(blob) {
+        this.blob = blob;
+        this.entries = new Map();
+    }
+
+    async open() {
+        const tailSize = Math.min(this.blob.size, 22 + 0xFFFF);
+        const tailStart = this.blob.size - tailSize;
+        const tail = new DataView(await this.blob.slice(tailStart).arrayBuffer());
+
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('Файл не является ZIP-архивом');
+        }
+
+        const entryCount = tail.getUint16(endOffset + 10, true);
+        const centralSize = tail.getUint32(endOffset + 12, true);
+        const centralOffset = tail.getUint32(endOffset + 16, true);
+        const central = new DataView(await this.blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+        const decoder = new TextDecoder();
+
+        let position = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (central.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('Поврежденный каталог ZIP-архива');
+            }
+
+            const nameLength = central.getUint16(position + 28, true);
+            const extraLength = central.getUint16(position + 30, true);
+            const commentLength = central.getUint16(position + 32, true);
+            const name = decoder.decode(new Uint8Array(central.buffer, position + 46, nameLength));
+
+            this.entries.set(name, {
+                method: central.getUint16(position + 10, true),
+                compressedSize: central.getUint32(position + 20, true),
+                headerOffset: central.getUint32(position + 42, true)
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return this;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    async readBlob(name, type = '') {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`В архиве нет файла ${name}`);
+        }
+
+        const header = new DataView(await this.blob.slice(entry.headerOffset, entry.headerOffset + 30).arrayBuffer());
+        const dataStart = entry.headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return new Blob([data], { type });
+        }
+        if (entry.method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Blob([await new Response(stream).arrayBuffer()], { type });
+        }
+        throw new Error(`Неподдерживаемый метод сжатия для ${name}`);
+    }
+
+    async readText(name) {
+        return (await this.readBlob(name)).text();
+    }
+}
+
+class BundleManager {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.format = 'dnd-soundboard-bundle';
+        this.version = 1;
+    }
+
+    async exportBundle() {
+        const entries = [];
+        const folders = [];
+        const sounds = [];
+        const failures = [];
+
+        this.audioEngine.folders.forEach((folder) => {
+            folders.push({ ...folder });
+        });
+
+        let index = 0;
+        for (const [soundId, sound] of this.audioEngine.sounds) {
+            try {
+                const file = sound.file || await sound.fetchFile();
+                const path = `audio/${index++}_${this.getSafeFileName(sound.name)}`;
+                entries.push({ name: path, data: file });
+                sounds.push({
+                    id: soundId,
+                    file: path,
+                    type: file.type || '',
+                    settings: this.audioEngine.getSoundSettings(soundId)
+                });
+            } catch (error) {
+                console.error('Ошибка экспорта звука:', error);
+                failures.push(sound.name);
+            }
+        }
+
+        const scenes = Array.from(this.app.sceneManager.scenes.values()).map((scene) => ({
+            ...scene,
+            tracks: scene.tracks.map((track) => ({ ...track }))
+        }));
+        const sequences = Array.from(this.app.sequencer.sequences.values()).map((sequence) => ({
+            ...sequence,
+            cues: sequence.cues.map((cue) => ({ ...cue }))
+        }));
+
+        const manifest = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            folders: folders,
+            sounds: sounds,
+            scenes: scenes,
+            sequences: sequences
+        };
+        entries.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+        return {
+            blob: await ZipArchive.create(entries),
+            soundCount: sounds.length,
+            failures: failures
+        };
+    }
+
+    getSafeFileName(name) {
+        return name.replace(/[\\/:*?"<>|]/g, '_');
+    }
+
+    validateManifest(manifest) {
+        if (!manifest || manifest.format !== this.format) {
+            throw new Error('Архив не является экспортом звуковой панели');
+        }
+        if (typeof manifest.version !== 'number' || manifest.version > this.version) {
+            throw new Error(`Неподдерживаемая версия архива: ${manifest.version}`);
+        }
+        if (!Array.isArray(manifest.folders) || !Array.isArray(manifest.sounds)) {
+            throw new Error('Манифест архива поврежден');
+        }
+
+        manifest.folders.forEach((folder) => {
+            if (!folder || typeof folder.id !== 'string' || typeof folder.name !== 'string') {
+                throw new Error('Манифест содержит некорректную папку');
+            }
+        });
+        manifest.sounds.forEach((sound) => {
+            if (!sound || typeof sound.id !== 'string' || typeof sound.file !== 'string' ||
+                !sound.settings || typeof sound.settings !== 'object' || typeof sound.settings.name !== 'string') {
+                throw new Error('Манифест содержит некорректный звук');
+            }
+        });
+    }
+
+    async importBundle(file, mergeDuplicates = true) {
+        const archive = await new ZipArchive(file).open();
+        if (!archive.has('manifest.json')) {
+            throw new Error('В архиве нет manifest.json');
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await archive.readText('manifest.json'));
+        } catch (error) {
+            throw new Error('manifest.json не является корректным JSON');
+        }
+        this.validateManifest(manifest);
+
+        const folderMap = this.importFolders(manifest.folders);
+        const soundMap = new Map();
+        const sequenceLinks = new Map();
+        const failures = [];
+        const droppedHotkeys = [];
+        let importedCount = 0;
+        let mergedCount = 0;
+
+        for (const entry of manifest.sounds) {
+            const folderId = folderMap.get(entry.settings.folderId) || 'default';
+            const existingId = this.findSound(entry.settings.name, folderId);
+
+            if (existingId && mergeDuplicates) {
+                soundMap.set(entry.id, existingId);
+                mergedCount++;
+                continue;
+            }
+
+            try {
+                const blob = await archive.readBlob(entry.file, entry.type);
+                const name = existingId ? this.getUniqueName(entry.settings.name, folderId) : entry.settings.name;
+                const audioFile = new File([blob], name, { type: entry.type || blob.type });
+                const settings = { ...entry.settings, sequenceId: null };
+                const { soundId, droppedHotkey } = await this.app.addSound(audioFile, folderId, settings);
+                soundMap.set(entry.id, soundId);
+                if (entry.settings.sequenceId) {
+                    sequenceLinks.set(soundId, entry.settings.sequenceId);
+                }
+                importedCount++;
+                if (droppedHotkey) {
+                    droppedHotkeys.push(`${HotkeyManager.getKeyLabel(droppedHotkey)} — "${name}"`);
+                }
+            } catch (error) {
+                const reason = error.name === 'EncodingError' ? 'не удалось декодировать' : error.message;
+                failures.push(`${entry.settings.name}: ${reason}`);
+            }
+        }
+
+        const sceneCount = this.importScenes(manifest.scenes || [], soundMap);
+        const sequenceMap = this.importSequences(Array.isArray(manifest.sequences) ? manifest.sequences : [], soundMap, droppedHotkeys);
+        sequenceLinks.forEach((sequenceId, soundId) => {
+            if (sequenceMap.has(sequenceId)) {
+                this.app.setSoundSequence(soundId, sequenceMap.get(sequenceId));
+            }
+        });
+
+        return { importedCount, mergedCount, sceneCount, sequenceCount: sequenceMap.size, failures, droppedHotkeys };
+    }
+
+    importFolders(folders) {
+        const folderMap = new Map([['default', 'default']]);
+        const byId = new Map(folders.map((folder) => [folder.id, folder]));
+        const getDepth = (folder, seen = new Set()) => {
+            const parent = byId.get(folder.parentId);
+            if (!parent || seen.has(parent.id)) return 0;
+            seen.add(parent.id);
+            return getDepth(parent, seen) + 1;
+        };
+
+        folders
+            .filter((folder) => folder.id !== 'default')
+            .map((folder) => ({ folder, depth: getDepth(folder) }))
+            .sort((a, b) => a.depth - b.depth || (a.folder.order ?? 0) - (b.folder.order ?? 0))
+            .forEach(({ folder }) => {
+                const parentId = folderMap.get(folder.parentId) || null;
+                const existing = this.audioEngine.getChildFolders(parentId).find((child) => child.name === folder.name);
+                let targetId = existing ? existing.id : null;
+
+                if (!targetId) {
+                    targetId = this.audioEngine.createFolder(folder.name, folder.color, folder.icon, parentId);
+                    if (folder.playlist) {
+                        this.audioEngine.updateFolder(targetId, { playlist: { ...folder.playlist } });
+                    }
+                    if (folder.role) {
+                        this.audioEngine.updateFolder(targetId, { role: folder.role });
+                    }
+                    this.app.saveFolder(targetId);
+                }
+                folderMap.set(folder.id, targetId);
+            });
+
+        return folderMap;
+    }
+
+    importScenes(scenes, soundMap) {
+        let sceneCount = 0;
+
+        scenes.forEach((scene) => {
+            if (!scene || typeof scene.name !== 'string' || !Array.isArray(scene.tracks)) return;
+
+            const tracks = scene.tracks
+                .filter((track) => soundMap.has(track.soundId))
+                .map((track) => ({ ...track, soundId: soundMap.get(track.soundId) }));
+            if (tracks.length === 0) return;
+
+            const sceneId = `scene_${Date.now()}_${this.app.sceneManager.sceneCounter++}`;
+            this.app.sceneManager.scenes.set(sceneId, { ...scene, id: sceneId, tracks: tracks });
+            this.app.sceneManager.saveScene(sceneId);
+            sceneCount++;
+        });
+
+        return sceneCount;
+    }
+
+    importSequences(sequences, soundMap, droppedHotkeys) {
+        const sequencer = this.app.sequencer;
+        const actions = Object.keys(CueSequencer.getActions());
+        const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        const sequenceMap = new Map();
+
+        sequences.forEach((sequence) => {
+            if (!sequence || typeof sequence.name !== 'string' || !Array.isArray(sequence.cues)) return;
+
+            const cues = sequence.cues
+                .filter((cue) => cue && soundMap.has(cue.soundId) && actions.includes(cue.action) && isTime(cue.time))
+                .map((cue) => ({
+                    id: `cue_${Date.now()}_${sequencer.cueCounter++}`,
+                    time: cue.time,
+                    soundId: soundMap.get(cue.soundId),
+                    action: cue.action,
+                    value: typeof cue.value === 'number' ? Math.max(0, Math.min(1, cue.value)) || 0 : 1,
+                    duration: isTime(cue.duration) ? cue.duration : 0
+                }))
+                .sort((a, b) => a.time - b.time);
+            if (cues.length === 0) return;
+
+            let hotkey = typeof sequence.hotkey === 'string' ? sequence.hotkey : null;
+            if (hotkey && !this.app.hotkeys.isAvailableKey(hotkey)) {
+                droppedHotkeys.push(`${HotkeyManager.getKeyLabel(hotkey)} — "${sequence.name}"`);
+                hotkey = null;
+            }
+
+            const sequenceId = `sequence_${Date.now()}_${sequencer.sequenceCounter++}`;
+            sequencer.sequences.set(sequenceId, { id: sequenceId, name: sequence.name, hotkey: hotkey, cues: cues });
+            sequencer.saveSequence(sequenceId);
+            sequenceMap.set(sequence.id, sequenceId);
+        });
+
+        return sequenceMap;
+    }
+
+    findSound(name, folderId) {
+        let found = null;
+        this.audioEngine.sounds.forEach((sound, soundId) => {
+            if (!found && sound.name === name && sound.folderId === folderId) {
+                found = soundId;
+            }
+        });
+        return found;
+    }
+
+    getUniqueName(name, folderId) {
+        const match = name.match(/^(.*?)(\.[^/.]+)?$/);
+        const base = match[1];
+        const extension = match[2] || '';
+
+        let counter = 2;
+        let candidate = `${base} (${counter})${extension}`;
+        while (this.findSound(candidate, folderId)) {
+            counter++;
+            candidate = `${base} (${counter})${extension}`;
+        }
+        return candidate;
+    }
+}
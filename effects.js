@@ -0,0 +1,118 @@
+// effects.js
+class EffectChain {
+    static getDefaults() {
+        return {
+            pan: 0,
+            low: 0,
+            mid: 0,
+            high: 0,
+            lowpass: 20000,
+            reverb: 'none',
+            reverbMix: 0.3
+        };
+    }
+
+    static getReverbPresets() {
+        return {
+            room: { label: 'Комната', duration: 0.8, decay: 3 },
+            hall: { label: 'Зал', duration: 2.5, decay: 2 },
+            cave: { label: 'Пещера', duration: 4, decay: 1.5 }
+        };
+    }
+
+    static createImpulseResponse(audioContext, type) {
+        const preset = EffectChain.getReverbPresets()[type];
+        const length = Math.floor(audioContext.sampleRate * preset.duration);
+        const impulse = audioContext.createBuffer(2, length, audioContext.sampleRate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, preset.decay);
+            }
+        }
+        return impulse;
+    }
+
+    constructor(audioContext, getImpulseResponse) {
+        this.audioContext = audioContext;
+        this.getImpulseResponse = getImpulseResponse;
+        this.reverbType = 'none';
+
+        this.low = audioContext.createBiquadFilter();
+        this.low.type = 'lowshelf';
+        this.low.frequency.value = 250;
+
+        this.mid = audioContext.createBiquadFilter();
+        this.mid.type = 'peaking';
+        this.mid.frequency.value = 1000;
+        this.mid.Q.value = 1;
+
+        this.high = audioContext.createBiquadFilter();
+        this.high.type = 'highshelf';
+        this.high.frequency.value = 4000;
+
+        this.lowpass = audioContext.createBiquadFilter();
+        this.lowpass.type = 'lowpass';
+
+        this.panner = audioContext.createStereoPanner();
+        this.dry = audioContext.createGain();
+        this.wet = audioContext.createGain();
+        this.convolver = null;
+        this.output = audioContext.createGain();
+
+        this.input = this.low;
+        this.low.connect(this.mid);
+        this.mid.connect(this.high);
+        this.high.connect(this.lowpass);
+        this.lowpass.connect(this.panner);
+        this.panner.connect(this.dry);
+        this.dry.connect(this.output);
+        this.wet.connect(this.output);
+    }
+
+    apply(effects, immediate = false) {
+        const settings = { ...EffectChain.getDefaults(), ...effects };
+        const now = this.audioContext.currentTime;
+        const setParam = (param, value) => {
+            if (immediate) {
+                param.value = value;
+            } else {
+                param.setTargetAtTime(value, now, 0.02);
+            }
+        };
+
+        setParam(this.low.gain, settings.low);
+        setParam(this.mid.gain, settings.mid);
+        setParam(this.high.gain, settings.high);
+        setParam(this.lowpass.frequency, settings.lowpass);
+        setParam(this.panner.pan, settings.pan);
+
+        if (settings.reverb !== this.reverbType) {
+            this.setReverb(settings.reverb);
+        }
+        const hasReverb = this.reverbType !== 'none';
+        setParam(this.wet.gain, hasReverb ? settings.reverbMix : 0);
+        setParam(this.dry.gain, hasReverb ? 1 - settings.reverbMix / 2 : 1);
+    }
+
+    setReverb(type) {
+        if (this.convolver) {
+            this.panner.disconnect(this.convolver);
+            this.convolver.disconnect();
+            this.convolver = null;
+        }
+
+        this.reverbType = EffectChain.getReverbPresets()[type] ? type : 'none';
+        if (this.reverbType === 'none') return;
+
+        this.convolver = this.audioContext.createConvolver();
+        this.convolver.buffer = this.getImpulseResponse(this.reverbType);
+        this.panner.connect(this.convolver);
+        this.convolver.connect(this.wet);
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+}
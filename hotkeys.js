@@ -0,0 +1,213 @@
+// hotkeys.js
+class HotkeyManager {
+    constructor(app) {
+        this.app = app;
+        this.recordingSound = null;
+        this.recordingSequence = null;
+        this.reserved = {
+            Escape: { label: 'Остановить все', action: () => this.app.stopAll() },
+            Space: { label: 'Пауза всех', action: () => this.app.togglePauseAll() },
+            ArrowLeft: { label: 'Предыдущая папка', action: () => this.app.selectAdjacentFolder(-1) },
+            ArrowRight: { label: 'Следующая папка', action: () => this.app.selectAdjacentFolder(1) },
+            Backquote: {
+                label: 'Говорю (удерживать)',
+                action: () => this.app.setTalkOver(true),
+                release: () => this.app.setTalkOver(false)
+            }
+        };
+        this.held = new Set();
+    }
+
+    bind() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyup(e));
+        window.addEventListener('blur', () => this.releaseHeld());
+    }
+
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (this.recordingSound || this.recordingSequence) {
+            e.preventDefault();
+            this.finishRecording(e.code);
+            return;
+        }
+
+        if (e.repeat || this.isTypingTarget(e.target)) return;
+        if (document.querySelector('dialog[open]')) return;
+
+        const reserved = this.reserved[e.code];
+        if (reserved) {
+            e.preventDefault();
+            this.app.audioEngine.resumeAudioContext();
+            reserved.action();
+            if (reserved.release) this.held.add(e.code);
+            return;
+        }
+
+        const soundId = this.findSoundByKey(e.code);
+        if (soundId) {
+            e.preventDefault();
+            this.app.audioEngine.resumeAudioContext();
+            this.app.playSound(soundId);
+            return;
+        }
+
+        const sequenceId = this.findSequenceByKey(e.code);
+        if (sequenceId) {
+            e.preventDefault();
+            this.app.toggleSequence(sequenceId);
+        }
+    }
+
+    handleKeyup(e) {
+        if (!this.held.has(e.code)) return;
+
+        e.preventDefault();
+        this.held.delete(e.code);
+        this.reserved[e.code].release();
+    }
+
+    releaseHeld() {
+        this.held.forEach((code) => this.reserved[code].release());
+        this.held.clear();
+    }
+
+    isTypingTarget(target) {
+        if (!target || !target.tagName) return false;
+
+        const tagName = target.tagName.toLowerCase();
+        return tagName === 'textarea' || tagName === 'select' || target.isContentEditable ||
+            (tagName === 'input' && !['range', 'checkbox', 'button'].includes(target.type));
+    }
+
+    findSoundByKey(code) {
+        let found = null;
+        this.app.audioEngine.sounds.forEach((sound, soundId) => {
+            if (!found && sound.hotkey === code) {
+                found = soundId;
+            }
+        });
+        return found;
+    }
+
+    findSequenceByKey(code) {
+        for (const [sequenceId, sequence] of this.app.sequencer.sequences) {
+            if (sequence.hotkey === code) return sequenceId;
+        }
+        return null;
+    }
+
+    startRecording(soundId) {
+        this.recordingSound = soundId;
+        this.app.updateStatus('Нажмите клавишу для назначения (Backspace — снять, Esc — отмена)');
+        this.app.renderSoundboard();
+    }
+
+    startSequenceRecording(sequenceId) {
+        this.recordingSequence = sequenceId;
+        this.app.updateStatus('Нажмите клавишу для назначения (Backspace — снять, Esc — отмена)');
+        this.app.renderSequencePanel();
+    }
+
+    finishRecording(code) {
+        const soundId = this.recordingSound;
+        const sequenceId = this.recordingSequence;
+        this.recordingSound = null;
+        this.recordingSequence = null;
+
+        if (code === 'Escape') {
+            this.app.updateStatus('Назначение клавиши отменено');
+        } else if (code === 'Backspace' || code === 'Delete') {
+            if (sequenceId) {
+                this.app.setSequenceHotkey(sequenceId, null);
+            } else {
+                this.app.setSoundHotkey(soundId, null);
+            }
+            this.app.updateStatus('Клавиша снята');
+        } else if (sequenceId) {
+            this.assignSequence(sequenceId, code);
+        } else {
+            this.assign(soundId, code);
+        }
+
+        this.app.renderSoundboard();
+        this.app.renderSequencePanel();
+    }
+
+    assign(soundId, code) {
+        if (!this.releaseKey(code, soundId)) return false;
+
+        this.app.setSoundHotkey(soundId, code);
+        this.app.updateStatus(`Клавиша ${HotkeyManager.getKeyLabel(code)} назначена`);
+        return true;
+    }
+
+    assignSequence(sequenceId, code) {
+        if (!this.releaseKey(code, sequenceId)) return false;
+
+        this.app.setSequenceHotkey(sequenceId, code);
+        this.app.updateStatus(`Клавиша ${HotkeyManager.getKeyLabel(code)} назначена`);
+        return true;
+    }
+
+    releaseKey(code, ownerId) {
+        const label = HotkeyManager.getKeyLabel(code);
+
+        if (this.reserved[code]) {
+            this.app.updateStatus(`Клавиша ${label} зарезервирована: ${this.reserved[code].label}`);
+            return false;
+        }
+
+        const conflictSoundId = this.findSoundByKey(code);
+        const conflictSequenceId = this.findSequenceByKey(code);
+        const conflictId = conflictSoundId || conflictSequenceId;
+        if (!conflictId || conflictId === ownerId) return true;
+
+        const conflictName = conflictSoundId
+            ? this.app.audioEngine.sounds.get(conflictSoundId).name
+            : this.app.sequencer.sequences.get(conflictSequenceId).name;
+        if (!confirm(`Клавиша ${label} уже назначена на "${conflictName}". Переназначить?`)) {
+            this.app.updateStatus('Назначение клавиши отменено');
+            return false;
+        }
+
+        if (conflictSoundId) {
+            this.app.setSoundHotkey(conflictSoundId, null);
+        } else {
+            this.app.setSequenceHotkey(conflictSequenceId, null);
+        }
+        return true;
+    }
+
+    isAvailableKey(code) {
+        return !this.reserved[code] && !this.findSoundByKey(code) && !this.findSequenceByKey(code);
+    }
+
+    // Назначения, сделанные до появления зарезервированной клавиши, больше не сработают — снимаем их
+    releaseReservedKeys() {
+        const released = [];
+        const describe = (code, name) =>
+            `${HotkeyManager.getKeyLabel(code)} (${this.reserved[code].label}) — "${name}"`;
+
+        this.app.audioEngine.sounds.forEach((sound, soundId) => {
+            if (!sound.hotkey || !this.reserved[sound.hotkey]) return;
+            released.push(describe(sound.hotkey, sound.name));
+            this.app.setSoundHotkey(soundId, null);
+        });
+        this.app.sequencer.sequences.forEach((sequence, sequenceId) => {
+            if (!sequence.hotkey || !this.reserved[sequence.hotkey]) return;
+            released.push(describe(sequence.hotkey, sequence.name));
+            this.app.setSequenceHotkey(sequenceId, null);
+        });
+        return released;
+    }
+
+    static getKeyLabel(code) {
+        if (!code) return '';
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Numpad')) return `Num${code.slice(6)}`;
+        return code;
+    }
+}
@@ -0,0 +1,290 @@
+// playlists.js
+class PlaylistManager {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.players = new Map();
+        this.gaplessLookahead = 0.5;
+        this.timer = null;
+    }
+
+    static getDefaults() {
+        return {
+            shuffle: false,
+            repeat: true,
+            transition: 'gapless',
+            crossfade: 3
+        };
+    }
+
+    getSettings(folderId) {
+        const folder = this.audioEngine.folders.get(folderId);
+        return { ...PlaylistManager.getDefaults(), ...(folder && folder.playlist) };
+    }
+
+    updateSettings(folderId, updates) {
+        const folder = this.audioEngine.folders.get(folderId);
+        if (!folder) return false;
+
+        folder.playlist = { ...this.getSettings(folderId), ...updates };
+
+        const player = this.players.get(folderId);
+        if (player && updates.shuffle !== undefined) {
+            player.order = this.buildOrder(folderId, player.soundId);
+            player.index = Math.max(0, player.order.indexOf(player.soundId));
+        }
+        return true;
+    }
+
+    buildOrder(folderId, firstId = null) {
+        const soundIds = this.audioEngine.getSoundsByFolder(folderId).map((sound) => sound.id);
+        if (!this.getSettings(folderId).shuffle) return soundIds;
+
+        for (let i = soundIds.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [soundIds[i], soundIds[j]] = [soundIds[j], soundIds[i]];
+        }
+        const firstIndex = soundIds.indexOf(firstId);
+        if (firstIndex > 0) {
+            soundIds.unshift(...soundIds.splice(firstIndex, 1));
+        }
+        return soundIds;
+    }
+
+    isPlaying(folderId) {
+        return this.players.has(folderId);
+    }
+
+    getNowPlaying(folderId) {
+        const player = this.players.get(folderId);
+        if (!player || !player.soundId) return null;
+
+        return {
+            soundId: player.soundId,
+            position: player.index + 1,
+            total: player.order.length
+        };
+    }
+
+    play(folderId) {
+        const order = this.buildOrder(folderId);
+        if (order.length === 0) return Promise.resolve(false);
+
+        this.stop(folderId);
+        const player = {
+            folderId: folderId,
+            order: order,
+            index: -1,
+            soundId: null,
+            sourceId: null,
+            next: null,
+            loading: false
+        };
+        this.players.set(folderId, player);
+        this.startTimer();
+        return this.advance(player, 0);
+    }
+
+    stop(folderId) {
+        const player = this.players.get(folderId);
+        if (!player) return false;
+
+        this.players.delete(folderId);
+        this.cancelNext(player);
+        if (player.sourceId) {
+            this.app.stopSound(player.soundId);
+        }
+        if (this.players.size === 0) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.app.renderNowPlaying(folderId);
+        return true;
+    }
+
+    stopAll() {
+        Array.from(this.players.keys()).forEach((folderId) => this.stop(folderId));
+    }
+
+    skip(folderId, direction) {
+        const player = this.players.get(folderId);
+        if (!player || player.loading) return Promise.resolve(false);
+
+        const settings = this.getSettings(folderId);
+        const fadeTime = settings.transition === 'crossfade' ? settings.crossfade : 0;
+
+        this.cancelNext(player);
+        this.releaseCurrent(player, fadeTime);
+        return this.advance(player, player.index + direction, { fadeIn: fadeTime });
+    }
+
+    resolveIndex(player, index) {
+        if (index >= 0 && index < player.order.length) return index;
+
+        const repeat = this.getSettings(player.folderId).repeat;
+        if (index < 0) {
+            return repeat ? player.order.length - 1 : 0;
+        }
+        if (!repeat) return -1;
+
+        player.order = this.buildOrder(player.folderId);
+        return player.order.length > 0 ? 0 : -1;
+    }
+
+    async startTrack(player, index, options = {}) {
+        let attempts = 0;
+
+        while (attempts < player.order.length) {
+            index = this.resolveIndex(player, index);
+            if (index < 0) return null;
+
+            const soundId = player.order[index];
+            const decoded = this.audioEngine.sounds.has(soundId) && await this.audioEngine.ensureBuffer(soundId);
+            if (this.players.get(player.folderId) !== player) return null;
+
+            if (decoded) {
+                const sourceId = this.audioEngine.playSound(soundId, {
+                    oneShot: true,
+                    fadeIn: options.fadeIn || 0,
+                    when: options.when ?? null
+                });
+                if (sourceId) return { index, soundId, sourceId };
+            }
+            index++;
+            attempts++;
+        }
+        return null;
+    }
+
+    async advance(player, index, options = {}) {
+        player.loading = true;
+        const track = await this.startTrack(player, index, options);
+        player.loading = false;
+        if (this.players.get(player.folderId) !== player) return false;
+
+        if (!track) {
+            this.stop(player.folderId);
+            return false;
+        }
+
+        this.setCurrent(player, track);
+        return true;
+    }
+
+    setCurrent(player, track) {
+        player.index = track.index;
+        player.soundId = track.soundId;
+        player.sourceId = track.sourceId;
+
+        const previousSourceId = this.app.activeSounds.get(track.soundId);
+        if (previousSourceId && previousSourceId !== track.sourceId) {
+            this.audioEngine.stopSound(previousSourceId);
+        }
+        this.app.activeSounds.set(track.soundId, track.sourceId);
+        this.app.refreshSoundCard(track.soundId);
+        this.app.renderNowPlaying(player.folderId);
+    }
+
+    releaseCurrent(player, fadeTime = 0) {
+        if (!player.sourceId) return;
+
+        this.audioEngine.stopSound(player.sourceId, fadeTime);
+        if (this.app.activeSounds.get(player.soundId) === player.sourceId) {
+            this.app.activeSounds.delete(player.soundId);
+            this.app.refreshSoundCard(player.soundId);
+        }
+        player.sourceId = null;
+    }
+
+    cancelNext(player) {
+        if (!player.next) return;
+
+        this.audioEngine.stopSound(player.next.sourceId, 0);
+        player.next = null;
+    }
+
+    async scheduleNext(player, when) {
+        player.loading = true;
+        const track = await this.startTrack(player, player.index + 1, { when });
+        player.loading = false;
+        if (this.players.get(player.folderId) !== player) return;
+
+        if (!track) {
+            if (player.sourceId) {
+                player.next = { ended: true };
+            } else {
+                this.stop(player.folderId);
+            }
+        } else if (player.sourceId) {
+            player.next = track;
+        } else {
+            this.setCurrent(player, track);
+        }
+    }
+
+    async crossfade(player, fadeTime) {
+        const oldPlayer = { ...player };
+        player.loading = true;
+        const track = await this.startTrack(player, player.index + 1, { fadeIn: fadeTime });
+        player.loading = false;
+        if (this.players.get(player.folderId) !== player) return;
+
+        if (!track) {
+            if (player.sourceId) {
+                player.next = { ended: true };
+            } else {
+                this.stop(player.folderId);
+            }
+            return;
+        }
+
+        this.releaseCurrent(oldPlayer, fadeTime);
+        this.setCurrent(player, track);
+    }
+
+    handleSourceEnded(sourceId) {
+        this.players.forEach((player) => {
+            if (player.sourceId !== sourceId) return;
+
+            player.sourceId = null;
+            if (player.loading) return;
+
+            if (player.next && player.next.sourceId) {
+                const next = player.next;
+                player.next = null;
+                this.setCurrent(player, next);
+            } else if (player.next && player.next.ended) {
+                this.stop(player.folderId);
+            } else {
+                this.advance(player, player.index + 1);
+            }
+        });
+    }
+
+    startTimer() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), 250);
+    }
+
+    tick() {
+        this.players.forEach((player) => {
+            if (player.loading) return;
+
+            const activeSound = this.audioEngine.activeSources.get(player.sourceId);
+            if (!activeSound) {
+                this.stop(player.folderId);
+                return;
+            }
+            if (activeSound.paused || player.next) return;
+
+            const settings = this.getSettings(player.folderId);
+            const remaining = this.audioEngine.getRemainingTime(player.sourceId);
+
+            if (settings.transition === 'gapless' && remaining <= this.gaplessLookahead) {
+                this.scheduleNext(player, this.audioEngine.audioContext.currentTime + remaining);
+            } else if (settings.transition === 'crossfade' && remaining <= settings.crossfade) {
+                this.crossfade(player, Math.max(0.1, remaining));
+            }
+        });
+    }
+}
@@ -0,0 +1,252 @@
+// recorder.js
+class SessionRecorder {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.state = 'inactive';
+        this.format = 'wav';
+        this.streamDestination = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.pcmChunks = [];
+        this.sampleRate = 0;
+        this.elapsed = 0;
+        this.resumedAt = 0;
+    }
+
+    static isWebmSupported() {
+        return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('audio/webm;codecs=opus');
+    }
+
+    getStream() {
+        if (!this.streamDestination) {
+            const audioContext = this.audioEngine.audioContext;
+            this.streamDestination = audioContext.createMediaStreamDestination();
+            this.audioEngine.masterGain.connect(this.streamDestination);
+            this.audioEngine.voice.recordTap.connect(this.streamDestination);
+        }
+        return this.streamDestination.stream;
+    }
+
+    start(format = 'wav') {
+        if (this.state !== 'inactive') return false;
+        if (format === 'webm' && !SessionRecorder.isWebmSupported()) return false;
+
+        this.format = format;
+        this.chunks = [];
+        this.pcmChunks = [[], []];
+        this.elapsed = 0;
+        this.resumedAt = Date.now();
+
+        const stream = this.getStream();
+        if (format === 'webm') {
+            this.mediaRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
+            };
+            this.mediaRecorder.start(1000);
+        } else {
+            this.startPcmCapture(stream);
+        }
+
+        this.state = 'recording';
+        return true;
+    }
+
+    startPcmCapture(stream) {
+        const audioContext = this.audioEngine.audioContext;
+        this.sampleRate = audioContext.sampleRate;
+        this.streamSource = audioContext.createMediaStreamSource(stream);
+        this.processor = audioContext.createScriptProcessor(4096, 2, 2);
+        this.silentOutput = audioContext.createGain();
+        this.silentOutput.gain.value = 0;
+
+        this.processor.onaudioprocess = (e) => {
+            if (this.state !== 'recording') return;
+
+            for (let channel = 0; channel < 2; channel++) {
+                const input = e.inputBuffer.getChannelData(Math.min(channel, e.inputBuffer.numberOfChannels - 1));
+                this.pcmChunks[channel].push(new Float32Array(input));
+            }
+        };
+
+        this.streamSource.connect(this.processor);
+        this.processor.connect(this.silentOutput);
+        this.silentOutput.connect(audioContext.destination);
+    }
+
+    stopPcmCapture() {
+        this.processor.onaudioprocess = null;
+        this.streamSource.disconnect();
+        this.processor.disconnect();
+        this.silentOutput.disconnect();
+        this.streamSource = null;
+        this.processor = null;
+        this.silentOutput = null;
+    }
+
+    pause() {
+        if (this.state !== 'recording') return false;
+
+        if (this.mediaRecorder) this.mediaRecorder.pause();
+        this.elapsed += (Date.now() - this.resumedAt) / 1000;
+        this.state = 'paused';
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return false;
+
+        if (this.mediaRecorder) this.mediaRecorder.resume();
+        this.resumedAt = Date.now();
+        this.state = 'recording';
+        return true;
+    }
+
+    getElapsed() {
+        if (this.state === 'recording') {
+            return this.elapsed + (Date.now() - this.resumedAt) / 1000;
+        }
+        return this.elapsed;
+    }
+
+    async stop() {
+        if (this.state === 'inactive') return null;
+
+        this.elapsed = this.getElapsed();
+        this.state = 'inactive';
+
+        if (this.mediaRecorder) {
+            const mediaRecorder = this.mediaRecorder;
+            this.mediaRecorder = null;
+            await new Promise((resolve) => {
+                mediaRecorder.onstop = resolve;
+                mediaRecorder.stop();
+            });
+            const blob = new Blob(this.chunks, { type: 'audio/webm' });
+            this.chunks = [];
+            return blob;
+        }
+
+        this.stopPcmCapture();
+        const channels = this.pcmChunks.map((chunks) => SessionRecorder.concat(chunks));
+        this.pcmChunks = [];
+        return SessionRecorder.encodeWav(channels, this.sampleRate);
+    }
+
+    static concat(chunks) {
+        const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+        const result = new Float32Array(length);
+        let offset = 0;
+        chunks.forEach((chunk) => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    static encodeWav(channels, sampleRate) {
+        const channelCount = channels.length;
+        const frameCount = channels[0].length;
+        const dataSize = frameCount * channelCount * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channelCount * 2, true);
+        view.setUint16(32, channelCount * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = 44;
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    getSceneLength(scene) {
+        let length = 0;
+        scene.tracks.forEach((track) => {
+            const sound = this.audioEngine.sounds.get(track.soundId);
+            if (!sound || !sound.buffer || track.loop) return;
+
+            const region = this.audioEngine.getRegion(sound);
+            const rate = this.audioEngine.getPlaybackRate(sound.playback);
+            length = Math.max(length, (region.end - Math.max(region.start, track.offset || 0)) / rate);
+        });
+        return length;
+    }
+
+    async renderScene(scene, duration) {
+        const tracks = scene.tracks.filter((track) => this.audioEngine.sounds.has(track.soundId));
+        const decoded = await Promise.all(tracks.map((track) => this.audioEngine.ensureBuffer(track.soundId)));
+        const sampleRate = this.audioEngine.audioContext.sampleRate;
+        const offlineContext = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        const impulseResponses = new Map();
+        const getImpulseResponse = (type) => {
+            if (!impulseResponses.has(type)) {
+                impulseResponses.set(type, EffectChain.createImpulseResponse(offlineContext, type));
+            }
+            return impulseResponses.get(type);
+        };
+
+        const masterGain = offlineContext.createGain();
+        masterGain.gain.value = this.audioEngine.masterVolume;
+        masterGain.connect(offlineContext.destination);
+
+        tracks.forEach((track, index) => {
+            if (!decoded[index]) return;
+
+            const sound = this.audioEngine.sounds.get(track.soundId);
+            const folder = this.audioEngine.folders.get(sound.folderId);
+            const region = this.audioEngine.getRegion(sound);
+            const source = offlineContext.createBufferSource();
+            const rate = this.audioEngine.getPlaybackRate(sound.playback);
+            const effectChain = new EffectChain(offlineContext, getImpulseResponse);
+            const gainNode = offlineContext.createGain();
+
+            source.buffer = sound.buffer;
+            source.loop = track.loop;
+            source.loopStart = region.loopStart;
+            source.loopEnd = region.loopEnd;
+            source.playbackRate.value = rate;
+            effectChain.apply(sound.effects, true);
+            gainNode.gain.value = track.volume * (folder && !folder.muted ? (folder.volume ?? 1.0) : 0);
+
+            source.connect(effectChain.input);
+            effectChain.output.connect(gainNode);
+            gainNode.connect(masterGain);
+
+            const offset = Math.min(Math.max(region.start, track.offset || 0), region.end);
+            if (track.loop) {
+                source.start(0, offset);
+            } else {
+                source.start(0, offset, region.end - offset);
+            }
+        });
+
+        const rendered = await offlineContext.startRendering();
+        const channels = [];
+        for (let channel = 0; channel < rendered.numberOfChannels; channel++) {
+            channels.push(rendered.getChannelData(channel));
+        }
+        return SessionRecorder.encodeWav(channels, rendered.sampleRate);
+    }
+}
@@ -0,0 +1,162 @@
+// remote-client.js
+class RemoteClient {
+    constructor() {
+        this.transport = new RemoteTransport((message) => this.handleMessage(message));
+        this.state = null;
+        this.lastSerialized = null;
+        this.selectedFolder = 'default';
+        this.lastStateAt = 0;
+        this.hostTimeout = 12000;
+        this.init();
+    }
+
+    init() {
+        const relayInput = document.getElementById('remoteRelayInput');
+        const params = new URLSearchParams(location.search);
+        const relayUrl = params.get('relay') || localStorage.getItem('remoteRelayUrl') ||
+            (location.protocol.startsWith('http') ? `ws://${location.host}` : '');
+
+        relayInput.value = relayUrl;
+        document.getElementById('remoteRelayForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const url = relayInput.value.trim();
+            localStorage.setItem('remoteRelayUrl', url);
+            this.connect(url);
+        });
+        document.getElementById('remotePauseAll').addEventListener('click', () => this.sendCommand('togglePauseAll'));
+        document.getElementById('remoteStopAll').addEventListener('click', () => this.sendCommand('stopAll'));
+        document.getElementById('remoteFolderSelect').addEventListener('change', (e) => {
+            this.selectedFolder = e.target.value;
+            this.renderSounds();
+        });
+
+        this.transport.onRelayStateChange = (state) => {
+            if (state === 'open') {
+                this.transport.send(RemoteProtocol.createMessage('hello'));
+            }
+            this.updateConnectionStatus();
+        };
+        this.transport.open();
+        this.connect(relayUrl);
+        setInterval(() => this.updateConnectionStatus(), 2000);
+    }
+
+    connect(url) {
+        this.transport.connectRelay(url);
+        this.transport.send(RemoteProtocol.createMessage('hello'));
+    }
+
+    sendCommand(action, payload = {}) {
+        this.transport.send(RemoteProtocol.createMessage('command', { action, ...payload }));
+    }
+
+    handleMessage(message) {
+        if (message.type === 'state') {
+            const serialized = JSON.stringify(message.state);
+            this.lastStateAt = Date.now();
+            if (serialized === this.lastSerialized) return;
+
+            this.lastSerialized = serialized;
+            this.state = message.state;
+            this.render();
+        } else if (message.type === 'ack' && !message.ok) {
+            this.setStatus(`Команда не выполнена: ${message.error}`);
+        }
+    }
+
+    updateConnectionStatus() {
+        const relayState = this.transport.relayUrl ? this.transport.relayState : null;
+        const hostAlive = Date.now() - this.lastStateAt < this.hostTimeout;
+        let status = hostAlive ? 'Панель на связи' : 'Ожидание панели...';
+        if (relayState === 'connecting') status += ' · подключение к ретранслятору';
+        if (relayState === 'closed') status += ' · ретранслятор недоступен';
+        this.setStatus(status);
+    }
+
+    setStatus(text) {
+        document.getElementById('remoteStatus').textContent = text;
+    }
+
+    render() {
+        const folderSelect = document.getElementById('remoteFolderSelect');
+        folderSelect.innerHTML = '';
+        this.state.folders.forEach((folder) => {
+            const option = document.createElement('option');
+            option.value = folder.id;
+            option.textContent = `${'  '.repeat(folder.depth)}${folder.icon} ${folder.name}`;
+            folderSelect.appendChild(option);
+        });
+        if (!this.state.folders.some((folder) => folder.id === this.selectedFolder)) {
+            this.selectedFolder = 'default';
+        }
+        folderSelect.value = this.selectedFolder;
+
+        document.getElementById('remoteActiveCount').textContent = this.state.activeCount;
+        this.renderSounds();
+        this.renderScenes();
+    }
+
+    renderSounds() {
+        const container = document.getElementById('remoteSounds');
+        container.innerHTML = '';
+        if (!this.state) return;
+
+        const sounds = this.state.sounds.filter((sound) => sound.folderId === this.selectedFolder);
+        if (sounds.length === 0) {
+            container.innerHTML = '<div class="scene-empty">В папке нет звуков</div>';
+            return;
+        }
+
+        sounds.forEach((sound) => {
+            const row = document.createElement('div');
+            row.className = `remote-sound ${sound.active ? 'active' : ''} ${sound.paused ? 'paused' : ''}`;
+            row.innerHTML = `
+                <div class="remote-sound-header">
+                    <span class="remote-sound-name"></span>
+                    <button class="remote-btn remote-play-btn">${sound.active && !sound.paused ? '⏸️' : '▶️'}</button>
+                    <button class="remote-btn remote-stop-btn">⏹️</button>
+                    <button class="remote-btn remote-loop-btn ${sound.loop ? 'active' : ''}">${sound.loop ? '🔂' : '🔁'}</button>
+                </div>
+                <input type="range" class="volume-slider" min="0" max="1" step="0.05" value="${sound.volume}">
+            `;
+            row.querySelector('.remote-sound-name').textContent = sound.name;
+
+            row.querySelector('.remote-play-btn').addEventListener('click', () => {
+                this.sendCommand(sound.active ? 'togglePause' : 'play', { soundId: sound.id });
+            });
+            row.querySelector('.remote-stop-btn').addEventListener('click', () => {
+                this.sendCommand('stop', { soundId: sound.id });
+            });
+            row.querySelector('.remote-loop-btn').addEventListener('click', () => {
+                this.sendCommand('setLoop', { soundId: sound.id, value: !sound.loop });
+            });
+            row.querySelector('.volume-slider').addEventListener('change', (e) => {
+                this.sendCommand('setVolume', { soundId: sound.id, value: parseFloat(e.target.value) });
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    renderScenes() {
+        const container = document.getElementById('remoteScenes');
+        container.innerHTML = '';
+
+        if (this.state.scenes.length === 0) {
+            container.innerHTML = '<div class="scene-empty">Нет сохраненных сцен</div>';
+            return;
+        }
+
+        this.state.scenes.forEach((scene) => {
+            const sceneBtn = document.createElement('button');
+            sceneBtn.className = 'remote-scene-btn';
+            sceneBtn.textContent = `🎬 ${scene.name}`;
+            sceneBtn.addEventListener('click', () => this.sendCommand('recallScene', { sceneId: scene.id }));
+            container.appendChild(sceneBtn);
+        });
+    }
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+    new RemoteClient();
+});
@@ -0,0 +1,128 @@
+// remote-protocol.js
+class RemoteProtocol {
+    static getId() {
+        return 'dnd-soundboard-remote';
+    }
+
+    static getVersion() {
+        return 1;
+    }
+
+    static getActions() {
+        return ['play', 'stop', 'toggle', 'togglePause', 'setVolume', 'setLoop', 'stopAll', 'togglePauseAll', 'recallScene'];
+    }
+
+    static createMessage(type, payload = {}) {
+        return {
+            protocol: RemoteProtocol.getId(),
+            version: RemoteProtocol.getVersion(),
+            id: `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`,
+            type: type,
+            ...payload
+        };
+    }
+
+    static parse(data) {
+        let message = data;
+        if (typeof data === 'string') {
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!message || message.protocol !== RemoteProtocol.getId()) return null;
+        if (typeof message.version !== 'number' || typeof message.type !== 'string') return null;
+        return message;
+    }
+}
+
+class RemoteTransport {
+    constructor(onMessage) {
+        this.onMessage = onMessage;
+        this.channel = null;
+        this.socket = null;
+        this.relayUrl = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = 1000;
+        this.seenIds = [];
+        this.onRelayStateChange = null;
+    }
+
+    open() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(RemoteProtocol.getId());
+        this.channel.onmessage = (e) => this.receive(e.data);
+    }
+
+    connectRelay(url) {
+        this.disconnectRelay();
+        this.relayUrl = url || null;
+        if (!this.relayUrl) return;
+
+        const socket = new WebSocket(this.relayUrl);
+        this.socket = socket;
+        this.setRelayState('connecting');
+
+        socket.onopen = () => {
+            this.reconnectDelay = 1000;
+            this.setRelayState('open');
+        };
+        socket.onmessage = (e) => this.receive(e.data);
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+
+            this.socket = null;
+            this.setRelayState('closed');
+            this.reconnectTimer = setTimeout(() => this.connectRelay(this.relayUrl), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+        };
+    }
+
+    disconnectRelay() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.relayUrl = null;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setRelayState('closed');
+    }
+
+    setRelayState(state) {
+        this.relayState = state;
+        if (this.onRelayStateChange) {
+            this.onRelayStateChange(state);
+        }
+    }
+
+    receive(data) {
+        const message = RemoteProtocol.parse(data);
+        if (!message || this.seenIds.includes(message.id)) return;
+
+        this.remember(message.id);
+        this.onMessage(message);
+    }
+
+    remember(id) {
+        this.seenIds.push(id);
+        if (this.seenIds.length > 200) {
+            this.seenIds.shift();
+        }
+    }
+
+    send(message) {
+        this.remember(message.id);
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+}
@@ -0,0 +1,168 @@
+// remote-relay.js
+// Запуск: node remote-relay.js [порт]
+// Раздает файлы панели по HTTP и пересылает сообщения пульта между всеми WebSocket-клиентами.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2], 10) || 8765;
+const ROOT = __dirname;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+const clients = new Set();
+
+function serveFile(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT + path.sep) || path.basename(filePath).startsWith('.')) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function decodeFrames(client) {
+    const frames = [];
+
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            throw new Error('Слишком большое сообщение');
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        frames.push({ opcode, payload });
+        client.buffer = buffer.subarray(offset + length);
+    }
+
+    return frames;
+}
+
+function broadcast(sender, payload) {
+    const frame = encodeFrame(0x1, payload);
+    clients.forEach((client) => {
+        if (client !== sender && !client.socket.destroyed) {
+            client.socket.write(frame);
+        }
+    });
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const client = { socket, buffer: Buffer.alloc(0) };
+    clients.add(client);
+    console.log(`Клиент подключен (${clients.size} всего)`);
+
+    socket.on('data', (data) => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        let frames;
+        try {
+            frames = decodeFrames(client);
+        } catch (error) {
+            socket.destroy();
+            return;
+        }
+
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x1) {
+                broadcast(client, payload);
+            } else if (opcode === 0x8) {
+                socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(0xa, payload));
+            }
+        });
+    });
+
+    const remove = () => {
+        if (clients.delete(client)) {
+            console.log(`Клиент отключен (${clients.size} всего)`);
+        }
+    };
+    socket.on('close', remove);
+    socket.on('error', remove);
+}
+
+const server = http.createServer(serveFile);
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => {
+    console.log(`Ретранслятор пульта: http://localhost:${PORT}/remote.html, ws://localhost:${PORT}`);
+});
@@ -0,0 +1,153 @@
+// remote.js
+class RemoteControl {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.transport = new RemoteTransport((message) => this.handleMessage(message));
+        this.lastState = null;
+        this.lastPushAt = 0;
+        this.heartbeatInterval = 5000;
+        this.timer = null;
+    }
+
+    start() {
+        this.transport.open();
+        this.timer = setInterval(() => this.pushState(), 500);
+    }
+
+    connectRelay(url) {
+        this.transport.connectRelay(url);
+    }
+
+    handleMessage(message) {
+        if (message.type === 'hello' || message.type === 'getState') {
+            this.pushState(true);
+        } else if (message.type === 'command') {
+            this.handleCommand(message);
+        }
+    }
+
+    async handleCommand(message) {
+        let error = null;
+
+        if (message.version > RemoteProtocol.getVersion()) {
+            error = 'unsupported-version';
+        } else if (!RemoteProtocol.getActions().includes(message.action)) {
+            error = 'unknown-action';
+        } else {
+            try {
+                error = await this.execute(message);
+            } catch (e) {
+                console.error('Ошибка выполнения удаленной команды:', e);
+                error = 'failed';
+            }
+        }
+
+        this.transport.send(RemoteProtocol.createMessage('ack', {
+            commandId: message.id,
+            ok: !error,
+            error: error
+        }));
+        this.pushState();
+    }
+
+    async execute(message) {
+        const app = this.app;
+        const soundId = message.soundId;
+        const soundActions = ['play', 'stop', 'toggle', 'togglePause', 'setVolume', 'setLoop'];
+
+        if (soundActions.includes(message.action) && !this.audioEngine.sounds.has(soundId)) {
+            return 'unknown-sound';
+        }
+        this.audioEngine.resumeAudioContext();
+
+        switch (message.action) {
+            case 'play':
+                if (!this.isSoundActive(soundId)) {
+                    await app.playSound(soundId);
+                }
+                break;
+            case 'stop':
+                app.stopSound(soundId);
+                break;
+            case 'toggle':
+                await app.playSound(soundId);
+                break;
+            case 'togglePause':
+                app.togglePauseSound(soundId);
+                break;
+            case 'setVolume':
+                if (typeof message.value !== 'number') return 'invalid-value';
+                app.setSoundVolume(soundId, Math.max(0, Math.min(1, message.value)));
+                break;
+            case 'setLoop':
+                if (this.audioEngine.sounds.get(soundId).loop !== !!message.value) {
+                    app.toggleLoop(soundId);
+                }
+                break;
+            case 'stopAll':
+                app.stopAll();
+                break;
+            case 'togglePauseAll':
+                app.togglePauseAll();
+                break;
+            case 'recallScene':
+                if (!app.sceneManager.scenes.has(message.sceneId)) return 'unknown-scene';
+                await app.recallScene(message.sceneId);
+                break;
+        }
+        return null;
+    }
+
+    isSoundActive(soundId) {
+        return this.app.activeSounds.has(soundId) || this.audioEngine.randomSchedulers.has(soundId);
+    }
+
+    getState() {
+        const folders = this.audioEngine.getFolderTree().map(({ folder, depth }) => ({
+            id: folder.id,
+            name: folder.name,
+            icon: folder.icon,
+            color: folder.color,
+            depth: depth
+        }));
+
+        const sounds = [];
+        folders.forEach((folder) => {
+            this.audioEngine.getSoundsByFolder(folder.id).forEach((sound) => {
+                const sourceId = this.app.activeSounds.get(sound.id);
+                sounds.push({
+                    id: sound.id,
+                    name: sound.name.replace(/\.[^/.]+$/, ''),
+                    folderId: sound.folderId,
+                    volume: sound.volume,
+                    loop: sound.loop,
+                    active: this.isSoundActive(sound.id),
+                    paused: sourceId ? this.audioEngine.isPaused(sourceId) : this.audioEngine.isRandomPaused(sound.id)
+                });
+            });
+        });
+
+        const scenes = Array.from(this.app.sceneManager.scenes.values()).map((scene) => ({
+            id: scene.id,
+            name: scene.name
+        }));
+
+        return {
+            folders: folders,
+            sounds: sounds,
+            scenes: scenes,
+            activeCount: this.audioEngine.getActiveCount()
+        };
+    }
+
+    pushState(force = false) {
+        const state = this.getState();
+        const serialized = JSON.stringify(state);
+        if (!force && serialized === this.lastState && Date.now() - this.lastPushAt < this.heartbeatInterval) return;
+
+        this.lastState = serialized;
+        this.lastPushAt = Date.now();
+        this.transport.send(RemoteProtocol.createMessage('state', { state: state }));
+    }
+}
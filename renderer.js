@@ -0,0 +1,74 @@
+// renderer.js
+class KeyedRenderer {
+    constructor(container, options) {
+        this.container = container;
+        this.getKey = options.getKey;
+        this.getSignature = options.getSignature;
+        this.create = options.create;
+        this.update = options.update || null;
+        this.entries = new Map();
+    }
+
+    static escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, (char) => entities[char]);
+    }
+
+    render(items) {
+        const owned = new Set(Array.from(this.entries.values(), (entry) => entry.element));
+        Array.from(this.container.children).forEach((child) => {
+            if (!owned.has(child)) child.remove();
+        });
+
+        const seen = new Set();
+        let next = this.container.firstElementChild;
+        items.forEach((item) => {
+            const key = String(this.getKey(item));
+            const signature = this.getSignature(item);
+            let entry = this.entries.get(key);
+            seen.add(key);
+
+            if (!entry || entry.signature !== signature) {
+                const element = this.create(item);
+                if (entry) {
+                    if (entry.element === next) next = next.nextElementSibling;
+                    entry.element.remove();
+                }
+                entry = { element, signature, item };
+                this.entries.set(key, entry);
+            }
+            entry.item = item;
+            if (this.update) this.update(entry.element, item);
+
+            if (entry.element === next) {
+                next = next.nextElementSibling;
+            } else {
+                this.container.insertBefore(entry.element, next);
+            }
+        });
+
+        this.entries.forEach((entry, key) => {
+            if (!seen.has(key)) {
+                entry.element.remove();
+                this.entries.delete(key);
+            }
+        });
+    }
+
+    patch(key) {
+        const entry = this.entries.get(String(key));
+        if (entry && this.update) {
+            this.update(entry.element, entry.item);
+        }
+    }
+
+    getElement(key) {
+        const entry = this.entries.get(String(key));
+        return entry ? entry.element : null;
+    }
+
+    clear() {
+        this.entries.forEach((entry) => entry.element.remove());
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,150 @@
+// scenes.js
+class SceneManager {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.scenes = new Map();
+        this.sceneCounter = 0;
+    }
+
+    restoreScenes(scenes) {
+        scenes.forEach((scene) => {
+            this.scenes.set(scene.id, scene);
+        });
+    }
+
+    captureScene(name, stopOthers = true) {
+        const tracks = [];
+
+        this.app.activeSounds.forEach((sourceId, soundId) => {
+            if (!this.audioEngine.activeSources.has(sourceId)) return;
+
+            const sound = this.audioEngine.sounds.get(soundId);
+            tracks.push({
+                soundId: soundId,
+                volume: sound.volume,
+                loop: sound.loop,
+                offset: this.audioEngine.getPlaybackPosition(sourceId)
+            });
+        });
+
+        const scene = {
+            id: `scene_${Date.now()}_${this.sceneCounter++}`,
+            name: name,
+            stopOthers: stopOthers,
+            fadeTime: 0,
+            tracks: tracks
+        };
+        this.scenes.set(scene.id, scene);
+        this.saveScene(scene.id);
+        return scene;
+    }
+
+    updateScene(sceneId, updates) {
+        const scene = this.scenes.get(sceneId);
+        if (!scene) return false;
+
+        Object.assign(scene, updates);
+        this.saveScene(sceneId);
+        return true;
+    }
+
+    addTrack(sceneId, soundId) {
+        const scene = this.scenes.get(sceneId);
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!scene || !sound) return false;
+        if (scene.tracks.some((track) => track.soundId === soundId)) return false;
+
+        scene.tracks.push({
+            soundId: soundId,
+            volume: sound.volume,
+            loop: sound.loop,
+            offset: 0
+        });
+        this.saveScene(sceneId);
+        return true;
+    }
+
+    updateTrack(sceneId, soundId, updates) {
+        const scene = this.scenes.get(sceneId);
+        const track = scene && scene.tracks.find((track) => track.soundId === soundId);
+        if (!track) return false;
+
+        Object.assign(track, updates);
+        this.saveScene(sceneId);
+        return true;
+    }
+
+    removeTrack(sceneId, soundId) {
+        const scene = this.scenes.get(sceneId);
+        if (!scene) return false;
+
+        const trackCount = scene.tracks.length;
+        scene.tracks = scene.tracks.filter((track) => track.soundId !== soundId);
+        if (scene.tracks.length === trackCount) return false;
+
+        this.saveScene(sceneId);
+        return true;
+    }
+
+    removeSound(soundId) {
+        this.scenes.forEach((scene, sceneId) => {
+            this.removeTrack(sceneId, soundId);
+        });
+    }
+
+    deleteScene(sceneId) {
+        if (!this.scenes.delete(sceneId)) return false;
+
+        this.app.persist(() => this.app.storage.deleteScene(sceneId));
+        return true;
+    }
+
+    saveScene(sceneId) {
+        const scene = this.scenes.get(sceneId);
+        if (!scene) return Promise.resolve(false);
+        return this.app.persist(() => this.app.storage.saveScene(scene));
+    }
+
+    async recallScene(sceneId) {
+        const scene = this.scenes.get(sceneId);
+        if (!scene) return 0;
+
+        const tracks = scene.tracks.filter((track) => this.audioEngine.sounds.has(track.soundId));
+        const decoded = await Promise.all(tracks.map((track) => this.audioEngine.ensureBuffer(track.soundId)));
+        const sceneSoundIds = new Set(tracks.map((track) => track.soundId));
+        const fadeTime = scene.fadeTime || null;
+
+        if (scene.stopOthers) {
+            Array.from(this.app.activeSounds.keys()).forEach((soundId) => {
+                if (!sceneSoundIds.has(soundId)) {
+                    this.app.stopSound(soundId, fadeTime);
+                }
+            });
+        }
+
+        let startedCount = 0;
+
+        tracks.forEach((track, index) => {
+            if (!decoded[index]) return;
+
+            this.audioEngine.setSoundVolume(track.soundId, track.volume);
+            this.audioEngine.setLoop(track.soundId, track.loop);
+            this.app.saveSoundSettings(track.soundId);
+
+            const activeSourceId = this.app.activeSounds.get(track.soundId);
+            if (activeSourceId && this.audioEngine.activeSources.has(activeSourceId)) return;
+
+            const sourceId = this.audioEngine.playSound(track.soundId, {
+                offset: track.offset,
+                fadeIn: fadeTime
+            });
+            if (sourceId) {
+                this.app.activeSounds.set(track.soundId, sourceId);
+                startedCount++;
+            }
+        });
+
+        return startedCount;
+    }
+}
@@ -0,0 +1,322 @@
+// sequences.js
+class CueSequencer {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.sequences = new Map();
+        this.runs = new Map();
+        this.sequenceCounter = 0;
+        this.cueCounter = 0;
+        this.lookahead = 0.1;
+        this.interval = 25;
+        this.startDelay = 0.05;
+        this.timer = null;
+        this.suspendedAt = null;
+        this.onChange = null;
+    }
+
+    static getActions() {
+        return {
+            play: 'Запустить',
+            stop: 'Остановить',
+            volume: 'Громкость',
+            fade: 'Плавно к громкости',
+            loop: 'Зацикливание'
+        };
+    }
+
+    restoreSequences(sequences) {
+        sequences.forEach((sequence) => {
+            this.sequences.set(sequence.id, sequence);
+        });
+    }
+
+    createSequence(name) {
+        const sequence = {
+            id: `sequence_${Date.now()}_${this.sequenceCounter++}`,
+            name: name,
+            hotkey: null,
+            cues: []
+        };
+        this.sequences.set(sequence.id, sequence);
+        this.saveSequence(sequence.id);
+        return sequence;
+    }
+
+    updateSequence(sequenceId, updates) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence) return false;
+
+        Object.assign(sequence, updates);
+        this.saveSequence(sequenceId);
+        return true;
+    }
+
+    addCue(sequenceId, soundId) {
+        const sequence = this.sequences.get(sequenceId);
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!sequence || !sound) return null;
+
+        const lastTime = sequence.cues.reduce((max, cue) => Math.max(max, cue.time), -1);
+        const cue = {
+            id: `cue_${Date.now()}_${this.cueCounter++}`,
+            time: lastTime + 1,
+            soundId: soundId,
+            action: 'play',
+            value: 1,
+            duration: 0
+        };
+        sequence.cues.push(cue);
+        this.saveSequence(sequenceId);
+        return cue;
+    }
+
+    updateCue(sequenceId, cueId, updates) {
+        const sequence = this.sequences.get(sequenceId);
+        const cue = sequence && sequence.cues.find((cue) => cue.id === cueId);
+        if (!cue) return false;
+
+        Object.assign(cue, updates);
+        sequence.cues.sort((a, b) => a.time - b.time);
+        this.saveSequence(sequenceId);
+        return true;
+    }
+
+    removeCue(sequenceId, cueId) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence) return false;
+
+        const cueCount = sequence.cues.length;
+        sequence.cues = sequence.cues.filter((cue) => cue.id !== cueId);
+        if (sequence.cues.length === cueCount) return false;
+
+        this.saveSequence(sequenceId);
+        return true;
+    }
+
+    removeSound(soundId) {
+        this.sequences.forEach((sequence, sequenceId) => {
+            const cueCount = sequence.cues.length;
+            sequence.cues = sequence.cues.filter((cue) => cue.soundId !== soundId);
+            if (sequence.cues.length !== cueCount) {
+                this.saveSequence(sequenceId);
+            }
+        });
+    }
+
+    deleteSequence(sequenceId) {
+        this.abort(sequenceId);
+        if (!this.sequences.delete(sequenceId)) return false;
+
+        this.app.persist(() => this.app.storage.deleteSequence(sequenceId));
+        return true;
+    }
+
+    saveSequence(sequenceId) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence) return Promise.resolve(false);
+        return this.app.persist(() => this.app.storage.saveSequence(sequence));
+    }
+
+    getLength(sequence) {
+        return sequence.cues.reduce((length, cue) => Math.max(length, cue.time + (cue.duration || 0)), 0);
+    }
+
+    isRunning(sequenceId) {
+        return this.runs.has(sequenceId);
+    }
+
+    getRunPosition(sequenceId) {
+        const run = this.runs.get(sequenceId);
+        if (!run) return null;
+        const now = this.suspendedAt ?? this.audioEngine.audioContext.currentTime;
+        return Math.max(0, now - run.startTime);
+    }
+
+    async start(sequenceId) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence) return false;
+
+        this.abort(sequenceId);
+        const cues = sequence.cues.filter((cue) => this.audioEngine.sounds.has(cue.soundId));
+        const soundIds = Array.from(new Set(cues.map((cue) => cue.soundId)));
+        const decoded = await Promise.all(soundIds.map((soundId) => this.audioEngine.ensureBuffer(soundId)));
+        const playableIds = new Set(soundIds.filter((soundId, index) => decoded[index]));
+        if (this.runs.has(sequenceId)) return false;
+
+        const runCues = cues.filter((cue) => playableIds.has(cue.soundId)).sort((a, b) => a.time - b.time);
+        const run = {
+            sequenceId: sequenceId,
+            startTime: this.audioEngine.audioContext.currentTime + this.startDelay,
+            cues: runCues,
+            length: this.getLength({ cues: runCues }),
+            index: 0,
+            sourceIds: new Set(),
+            gains: new Map(),
+            loops: new Map()
+        };
+        this.runs.set(sequenceId, run);
+        this.notify(sequenceId);
+        if (this.suspendedAt === null) {
+            this.schedule(run);
+            this.startTimer();
+        }
+        return true;
+    }
+
+    startTimer() {
+        if (this.runs.size > 0 && !this.timer) {
+            this.timer = setInterval(() => this.tick(), this.interval);
+        }
+    }
+
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Пауза всех: расписание замирает, а при возобновлении сдвигается на длительность паузы,
+    // чтобы оставшиеся реплики сохранили свои интервалы относительно уже звучащих.
+    suspend() {
+        if (this.suspendedAt !== null) return;
+
+        this.suspendedAt = this.audioEngine.audioContext.currentTime;
+        this.stopTimer();
+    }
+
+    resume() {
+        if (this.suspendedAt === null) return;
+
+        const pausedFor = this.audioEngine.audioContext.currentTime - this.suspendedAt;
+        this.suspendedAt = null;
+        this.runs.forEach((run) => {
+            run.startTime += pausedFor;
+        });
+        this.tick();
+        this.startTimer();
+    }
+
+    tick() {
+        if (this.suspendedAt !== null) return;
+        this.runs.forEach((run) => this.schedule(run));
+    }
+
+    // Звуковые действия ставятся на часы AudioContext заранее, в пределах lookahead;
+    // зацикливание меняется только из JS, поэтому ждет своего точного момента.
+    // Запуск живет до конца последней реплики (с ее длительностью), чтобы его можно было прервать.
+    schedule(run) {
+        const now = this.audioEngine.audioContext.currentTime;
+
+        while (run.index < run.cues.length) {
+            const cue = run.cues[run.index];
+            const when = run.startTime + cue.time;
+            const horizon = cue.action === 'loop' ? now : now + this.lookahead;
+            if (when > horizon) break;
+
+            this.executeCue(run, cue, Math.max(now, when));
+            run.index++;
+        }
+
+        if (run.index >= run.cues.length && now >= run.startTime + run.length) {
+            this.finish(run.sequenceId);
+        }
+    }
+
+    // Громкость и зацикливание из реплик действуют только на воспроизведения этого запуска
+    // (громкость — относительно громкости карточки), сохраненные настройки звука не меняются.
+    // Если звук еще не играет, значение запоминается для его следующего запуска в этой последовательности.
+    executeCue(run, cue, when) {
+        const soundId = cue.soundId;
+        const currentSourceId = this.app.activeSounds.get(soundId);
+        const playingSourceId = currentSourceId && this.audioEngine.activeSources.has(currentSourceId)
+            ? currentSourceId : null;
+
+        switch (cue.action) {
+            case 'play':
+                this.startSound(run, soundId, { when: when, fadeIn: cue.duration || 0 }, playingSourceId);
+                break;
+            case 'stop':
+                if (playingSourceId) {
+                    this.audioEngine.stopSound(playingSourceId, cue.duration || 0, when);
+                    this.app.activeSounds.delete(soundId);
+                }
+                break;
+            case 'volume':
+                run.gains.set(soundId, cue.value);
+                if (playingSourceId) {
+                    this.audioEngine.rampSourceGain(playingSourceId, cue.value, 0, when);
+                }
+                break;
+            case 'fade':
+                run.gains.set(soundId, cue.value);
+                if (playingSourceId) {
+                    this.audioEngine.rampSourceGain(playingSourceId, cue.value, cue.duration || 0, when);
+                } else {
+                    this.startSound(run, soundId, { when: when, fadeIn: cue.duration || 0 }, null);
+                }
+                break;
+            case 'loop':
+                run.loops.set(soundId, !!cue.value);
+                if (playingSourceId) {
+                    this.audioEngine.setSourceLoop(playingSourceId, !!cue.value);
+                }
+                break;
+        }
+        this.app.refreshSoundCard(soundId);
+    }
+
+    startSound(run, soundId, options, previousSourceId) {
+        if (previousSourceId) {
+            this.audioEngine.stopSound(previousSourceId, 0, options.when);
+        }
+
+        const sourceId = this.audioEngine.playSound(soundId, {
+            ...options,
+            gainScale: run.gains.get(soundId) ?? 1,
+            loop: run.loops.get(soundId) ?? null
+        });
+        if (sourceId) {
+            this.app.activeSounds.set(soundId, sourceId);
+            run.sourceIds.add(sourceId);
+        }
+    }
+
+    finish(sequenceId) {
+        if (!this.runs.delete(sequenceId)) return;
+
+        if (this.runs.size === 0) {
+            this.stopTimer();
+        }
+        this.notify(sequenceId);
+    }
+
+    abort(sequenceId, fadeOut = null) {
+        const run = this.runs.get(sequenceId);
+        if (!run) return false;
+
+        run.sourceIds.forEach((sourceId) => {
+            const activeSound = this.audioEngine.activeSources.get(sourceId);
+            if (!activeSound) return;
+
+            this.audioEngine.stopSound(sourceId, fadeOut);
+            if (this.app.activeSounds.get(activeSound.soundId) === sourceId) {
+                this.app.activeSounds.delete(activeSound.soundId);
+                this.app.refreshSoundCard(activeSound.soundId);
+            }
+        });
+        this.finish(sequenceId);
+        return true;
+    }
+
+    abortAll(fadeOut = null) {
+        Array.from(this.runs.keys()).forEach((sequenceId) => this.abort(sequenceId, fadeOut));
+    }
+
+    notify(sequenceId) {
+        if (this.onChange) {
+            this.onChange(sequenceId);
+        }
+    }
+}
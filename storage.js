@@ -0,0 +1,160 @@
+// storage.js
+class SoundStorage {
+    constructor(dbName = 'dnd-soundboard', version = 3) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sounds')) {
+                    db.createObjectStore('sounds', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('files')) {
+                    db.createObjectStore('files');
+                }
+                if (!db.objectStoreNames.contains('folders')) {
+                    db.createObjectStore('folders', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+                if (!db.objectStoreNames.contains('scenes')) {
+                    db.createObjectStore('scenes', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('sequences')) {
+                    db.createObjectStore('sequences', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+
+            const request = callback(tx);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+        });
+    }
+
+    saveSound(id, settings, file) {
+        return this.transaction(['sounds', 'files'], 'readwrite', (tx) => {
+            tx.objectStore('sounds').put({ id, ...settings });
+            tx.objectStore('files').put(file, id);
+        });
+    }
+
+    updateSound(id, settings) {
+        return this.transaction('sounds', 'readwrite', (tx) => {
+            tx.objectStore('sounds').put({ id, ...settings });
+        });
+    }
+
+    deleteSound(id) {
+        return this.transaction(['sounds', 'files'], 'readwrite', (tx) => {
+            tx.objectStore('sounds').delete(id);
+            tx.objectStore('files').delete(id);
+        });
+    }
+
+    loadSounds() {
+        return this.transaction('sounds', 'readonly', (tx) => tx.objectStore('sounds').getAll());
+    }
+
+    loadFile(id) {
+        return this.transaction('files', 'readonly', (tx) => tx.objectStore('files').get(id));
+    }
+
+    saveFolder(folder) {
+        return this.transaction('folders', 'readwrite', (tx) => {
+            tx.objectStore('folders').put({ ...folder });
+        });
+    }
+
+    deleteFolder(id) {
+        return this.transaction('folders', 'readwrite', (tx) => {
+            tx.objectStore('folders').delete(id);
+        });
+    }
+
+    loadFolders() {
+        return this.transaction('folders', 'readonly', (tx) => tx.objectStore('folders').getAll());
+    }
+
+    saveScene(scene) {
+        return this.transaction('scenes', 'readwrite', (tx) => {
+            tx.objectStore('scenes').put({
+                ...scene,
+                tracks: scene.tracks.map((track) => ({ ...track }))
+            });
+        });
+    }
+
+    deleteScene(id) {
+        return this.transaction('scenes', 'readwrite', (tx) => {
+            tx.objectStore('scenes').delete(id);
+        });
+    }
+
+    loadScenes() {
+        return this.transaction('scenes', 'readonly', (tx) => tx.objectStore('scenes').getAll());
+    }
+
+    saveSequence(sequence) {
+        return this.transaction('sequences', 'readwrite', (tx) => {
+            tx.objectStore('sequences').put({
+                ...sequence,
+                cues: sequence.cues.map((cue) => ({ ...cue }))
+            });
+        });
+    }
+
+    deleteSequence(id) {
+        return this.transaction('sequences', 'readwrite', (tx) => {
+            tx.objectStore('sequences').delete(id);
+        });
+    }
+
+    loadSequences() {
+        return this.transaction('sequences', 'readonly', (tx) => tx.objectStore('sequences').getAll());
+    }
+
+    saveMeta(key, value) {
+        return this.transaction('meta', 'readwrite', (tx) => {
+            tx.objectStore('meta').put(value, key);
+        });
+    }
+
+    loadMeta(key) {
+        return this.transaction('meta', 'readonly', (tx) => tx.objectStore('meta').get(key));
+    }
+
+    static isQuotaError(error) {
+        return !!error && error.name === 'QuotaExceededError';
+    }
+}
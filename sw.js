@@ -1,9 +1,32 @@
 // sw.js
-const CACHE_NAME = 'dnd-soundboard-mvp-v1';
+const CACHE_VERSION = 6;
+const CACHE_NAME = `dnd-soundboard-v${CACHE_VERSION}`;
+const SHARED_CACHE_NAME = 'dnd-soundboard-shared';
 const urlsToCache = [
   './',
   './index.html',
-  './manifest.json'
+  './remote.html',
+  './manifest.json',
+  './style.css',
+  './remote.css',
+  './storage.js',
+  './effects.js',
+  './voice.js',
+  './waveform.js',
+  './scenes.js',
+  './sequences.js',
+  './recorder.js',
+  './playlists.js',
+  './hotkeys.js',
+  './bundle.js',
+  './uploads.js',
+  './remote-protocol.js',
+  './remote.js',
+  './remote-client.js',
+  './renderer.js',
+  './app.js',
+  './icon-192.png',
+  './icon-512.png'
 ];
 
 self.addEventListener('install', event => {
@@ -15,16 +38,10 @@ self.addEventListener('install', event => {
   );
 });
 
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
-      })
-  );
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'skipWaiting') {
+    self.skipWaiting();
+  }
 });
 
 self.addEventListener('activate', event => {
@@ -32,11 +49,69 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== SHARED_CACHE_NAME) {
             return caches.delete(cacheName);
           }
         })
       );
-    })
+    }).then(() => self.clients.claim())
   );
-});
\ No newline at end of file
+});
+
+async function handleShareTarget(request) {
+  const formData = await request.formData();
+  const files = formData.getAll('audio').filter(file => file && file.name);
+  const cache = await caches.open(SHARED_CACHE_NAME);
+
+  await Promise.all(files.map((file, index) => {
+    const key = `./shared/${Date.now()}_${index}`;
+    return cache.put(key, new Response(file, {
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-File-Name': encodeURIComponent(file.name)
+      }
+    }));
+  }));
+
+  return Response.redirect('./index.html?shared=1', 303);
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cacheKey = event.request.mode === 'navigate' ? event.request.url.split('?')[0] : event.request;
+  const cached = await cache.match(cacheKey);
+
+  const network = fetch(event.request)
+    .then(response => {
+      if (response.ok && response.type === 'basic') {
+        cache.put(cacheKey, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+
+  const response = await network;
+  if (response) return response;
+  if (event.request.mode === 'navigate') {
+    return cache.match('./index.html');
+  }
+  return Response.error();
+}
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (event.request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+    event.respondWith(handleShareTarget(event.request));
+    return;
+  }
+
+  if (event.request.method !== 'GET') return;
+  event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,359 @@
+// tests/audio-engine.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createEngine, addSound } = require('./fake-audio');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+test('playSound starts a source routed through the folder bus', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'rain', { volume: 0.5 });
+
+    const sourceId = engine.playSound('rain');
+    const activeSound = engine.activeSources.get(sourceId);
+
+    assert.ok(sourceId);
+    assert.equal(audioContext.getPlayingSources().length, 1);
+    assert.equal(activeSound.source.offset, 0);
+    close(activeSound.gainNode.gain.value, 0.5);
+    assert.ok(activeSound.gainNode.connections.includes(activeSound.duckNode));
+    assert.ok(activeSound.duckNode.connections.includes(engine.getFolderBus('default').gainNode));
+});
+
+test('playSound without a decoded buffer does nothing', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'rain').buffer = null;
+
+    assert.equal(engine.playSound('rain'), null);
+    assert.equal(engine.playSound('missing'), null);
+    assert.equal(engine.getActiveCount(), 0);
+});
+
+test('stopSound stops the source and does not report it as naturally ended', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'rain');
+    const ended = [];
+    engine.onSourceEnded = (sourceId) => ended.push(sourceId);
+
+    const sourceId = engine.playSound('rain');
+    const source = engine.activeSources.get(sourceId).source;
+    engine.stopSound(sourceId);
+    audioContext.advance(0.1);
+
+    assert.equal(engine.activeSources.has(sourceId), false);
+    assert.equal(source.ended, true);
+    assert.deepEqual(ended, []);
+});
+
+test('stopSound with a fade keeps the source running until the fade ends', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'rain', { fadeOut: 2 });
+
+    const sourceId = engine.playSound('rain');
+    const activeSound = engine.activeSources.get(sourceId);
+    engine.stopSound(sourceId);
+
+    close(activeSound.source.stopAt, 2);
+    audioContext.advance(1);
+    assert.equal(activeSound.source.ended, false);
+    audioContext.advance(1);
+    assert.equal(activeSound.source.ended, true);
+});
+
+test('a one-shot source that reaches its end is removed and reported', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'door', { duration: 2 });
+    const ended = [];
+    engine.onSourceEnded = (sourceId, soundId) => ended.push([sourceId, soundId]);
+
+    const sourceId = engine.playSound('door');
+    audioContext.advance(2.5);
+
+    assert.equal(engine.activeSources.has(sourceId), false);
+    assert.deepEqual(ended, [[sourceId, 'door']]);
+});
+
+test('pause and resume continue from the paused offset', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'music', { duration: 60 });
+
+    const sourceId = engine.playSound('music');
+    audioContext.advance(4);
+    engine.pauseSound(sourceId);
+
+    assert.equal(engine.isPaused(sourceId), true);
+    close(engine.getPlaybackPosition(sourceId), 4);
+
+    audioContext.advance(10);
+    close(engine.getPlaybackPosition(sourceId), 4);
+
+    engine.resumeSound(sourceId);
+    const activeSound = engine.activeSources.get(sourceId);
+    assert.equal(engine.isPaused(sourceId), false);
+    close(activeSound.source.offset, 4);
+
+    audioContext.advance(3);
+    close(engine.getPlaybackPosition(sourceId), 7);
+    assert.equal(engine.activeSources.size, 1);
+});
+
+test('pausing keeps the paused source from being reported as ended', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'music', { duration: 60 });
+    const ended = [];
+    engine.onSourceEnded = (sourceId) => ended.push(sourceId);
+
+    const sourceId = engine.playSound('music');
+    engine.pauseSound(sourceId);
+    audioContext.advance(1);
+
+    assert.equal(engine.activeSources.has(sourceId), true);
+    assert.deepEqual(ended, []);
+});
+
+test('playback position accounts for playbackRate', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'music', { duration: 60 });
+
+    const sourceId = engine.playSound('music', { playbackRate: 2 });
+    audioContext.advance(3);
+    engine.pauseSound(sourceId);
+
+    close(engine.getPlaybackPosition(sourceId), 6);
+});
+
+test('seekSound restarts a playing source at the new offset', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'music', { duration: 60 });
+
+    const sourceId = engine.playSound('music');
+    const oldSource = engine.activeSources.get(sourceId).source;
+    engine.seekSound(sourceId, 30);
+    audioContext.advance(0);
+
+    assert.equal(oldSource.ended, true);
+    close(engine.activeSources.get(sourceId).source.offset, 30);
+    close(engine.getPlaybackPosition(sourceId), 30);
+});
+
+test('setLoop toggles looping on playing sources and keeps the position', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'music', { duration: 10 });
+
+    const sourceId = engine.playSound('music');
+    audioContext.advance(3);
+    engine.setLoop('music', true);
+
+    const activeSound = engine.activeSources.get(sourceId);
+    assert.equal(engine.sounds.get('music').loop, true);
+    assert.equal(activeSound.source.loop, true);
+    close(engine.getPlaybackPosition(sourceId), 3);
+
+    audioContext.advance(9);
+    assert.equal(engine.activeSources.has(sourceId), true);
+    close(engine.getPlaybackPosition(sourceId), 2);
+
+    engine.setLoop('music', false);
+    assert.equal(activeSound.source.loop, false);
+    close(engine.getPlaybackPosition(sourceId), 2);
+});
+
+test('setLoop leaves one-shot sources alone', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'music');
+
+    const sourceId = engine.playSound('music', { oneShot: true });
+    engine.setLoop('music', true);
+
+    assert.equal(engine.activeSources.get(sourceId).source.loop, false);
+});
+
+test('setSoundVolume updates stored volume whether or not the sound is playing', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'rain', { volume: 1 });
+
+    assert.equal(engine.setSoundVolume('rain', 0.3), true);
+    close(engine.sounds.get('rain').volume, 0.3);
+
+    const first = engine.playSound('rain');
+    const second = engine.playSound('rain');
+    engine.setVolume(first, 0.6);
+
+    close(engine.sounds.get('rain').volume, 0.6);
+    close(engine.activeSources.get(first).gainNode.gain.value, 0.6);
+    close(engine.activeSources.get(second).gainNode.gain.value, 0.6);
+});
+
+test('syncAll restarts playing sources in place without ending them', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'drums', { duration: 8, loop: true });
+    addSound(engine, 'door', { duration: 4 });
+    const ended = [];
+    engine.onSourceEnded = (sourceId) => ended.push(sourceId);
+
+    const drums = engine.playSound('drums');
+    audioContext.advance(1);
+    const door = engine.playSound('door', { oneShot: true });
+    audioContext.advance(2);
+
+    const result = engine.syncAll();
+    audioContext.advance(0.5);
+
+    assert.deepEqual(Array.from(result.syncedSourceIds), [drums]);
+    assert.deepEqual(Array.from(engine.activeSources.keys()), [drums, door]);
+    assert.deepEqual(ended, []);
+    close(engine.getPlaybackPosition(drums), 0.5 - engine.syncLookahead);
+});
+
+test('syncAll restarts only the selected sources when given', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'drums', { duration: 8, loop: true });
+    addSound(engine, 'bass', { duration: 8, loop: true });
+
+    const drums = engine.playSound('drums');
+    const bass = engine.playSound('bass');
+    audioContext.advance(2);
+    const bassSource = engine.activeSources.get(bass).source;
+
+    const result = engine.syncAll(null, [drums]);
+    audioContext.advance(0.5);
+
+    assert.deepEqual(Array.from(result.syncedSourceIds), [drums]);
+    assert.equal(engine.activeSources.get(bass).source, bassSource);
+    close(engine.getPlaybackPosition(drums), 0.5 - engine.syncLookahead);
+    close(engine.getPlaybackPosition(bass), 2.5);
+});
+
+test('the sync selection forgets sounds that stop and falls back to all playing', () => {
+    const { engine, audioContext, context } = createEngine();
+    const SoundboardApp = vm.runInContext('SoundboardApp', context);
+    addSound(engine, 'drums', { duration: 8, loop: true });
+    addSound(engine, 'door', { duration: 1 });
+    addSound(engine, 'rain', { duration: 60 });
+    const app = Object.assign(Object.create(SoundboardApp.prototype), {
+        audioEngine: engine,
+        activeSounds: new Map(),
+        syncSelection: new Set(),
+        playlists: { handleSourceEnded() {} },
+        refreshSoundCard() {},
+        updateSyncButton() {},
+        updateActiveCount() {}
+    });
+    engine.onSourceEnded = (sourceId, soundId) => app.handleSourceEnded(sourceId, soundId);
+    ['drums', 'door', 'rain'].forEach((soundId) => app.activeSounds.set(soundId, engine.playSound(soundId)));
+
+    app.toggleSyncSelection('door');
+    app.toggleSyncSelection('rain');
+    app.stopSound('rain');
+    assert.equal(app.syncSelection.has('rain'), false);
+    assert.deepEqual(Array.from(app.getSyncSourceIds()), [app.activeSounds.get('door')]);
+
+    audioContext.advance(1.5);
+    assert.equal(app.activeSounds.has('door'), false);
+    assert.equal(app.syncSelection.size, 0);
+    assert.equal(app.getSyncSourceIds(), null);
+
+    app.toggleSyncSelection('drums');
+    app.activeSounds.delete('drums');
+    assert.equal(app.getSyncSourceIds(), null);
+});
+
+test('imported settings are type-checked and clamped', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'rain', { volume: 0.5 });
+
+    engine.applySoundSettings('rain', {
+        volume: '"><img src=x onerror=alert(1)>',
+        fadeIn: 90,
+        loop: 'yes',
+        hotkey: 42,
+        role: 'boss',
+        tags: 'forest',
+        playback: { rate: 'fast', detune: -5000 },
+        effects: { reverb: 'cathedral', pan: 0.5, extra: 'x' },
+        random: { enabled: true, pool: 'folder', minInterval: null },
+        region: { start: 1, end: null }
+    });
+
+    const sound = engine.sounds.get('rain');
+    assert.equal(sound.volume, 0.5);
+    assert.equal(sound.fadeIn, 30);
+    assert.equal(sound.loop, false);
+    assert.equal(sound.hotkey, null);
+    assert.equal(sound.role, 'folder');
+    assert.deepEqual(Array.from(sound.tags), []);
+    assert.deepEqual({ ...sound.playback }, { rate: 1, detune: -1200, variation: 0 });
+    assert.equal(sound.effects.reverb, 'none');
+    assert.equal(sound.effects.pan, 0.5);
+    assert.equal(sound.effects.extra, undefined);
+    assert.equal(sound.random.enabled, true);
+    assert.equal(sound.random.pool, 'folder');
+    assert.equal(sound.random.minInterval, 10);
+    assert.equal(sound.region.start, 1);
+    assert.equal(sound.region.end, null);
+
+    engine.applySoundSettings('rain', { tags: ['лес', 7, 'ночь'], hotkey: 'KeyR' });
+    assert.deepEqual(Array.from(sound.tags), ['лес', 'ночь']);
+    assert.equal(sound.hotkey, 'KeyR');
+});
+
+test('active count is reported on every change', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'rain', { duration: 1 });
+    addSound(engine, 'music', { duration: 60 });
+    const counts = [];
+    engine.onActiveCountChange = (count) => counts.push(count);
+
+    const rain = engine.playSound('rain');
+    const music = engine.playSound('music');
+    audioContext.advance(2);
+    engine.stopSound(music);
+    engine.stopSound(rain);
+
+    assert.deepEqual(counts, [1, 2, 1, 0]);
+    assert.equal(engine.getActiveCount(), 0);
+});
+
+test('random schedulers count as active until stopped', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'crow');
+    const counts = [];
+    engine.onActiveCountChange = (count) => counts.push(count);
+
+    engine.startRandom('crow');
+    assert.equal(engine.getActiveCount(), 1);
+    engine.stopRandom('crow');
+
+    assert.deepEqual(counts, [1, 0]);
+    assert.equal(engine.randomSchedulers.size, 0);
+});
+
+test('a random one-shot does not count twice while it plays', async () => {
+    const { engine } = createEngine();
+    addSound(engine, 'crow');
+    const counts = [];
+    engine.onActiveCountChange = (count) => counts.push(count);
+
+    engine.startRandom('crow');
+    await engine.fireRandom('crow');
+    assert.equal(engine.activeSources.size, 1);
+    engine.playSound('crow');
+
+    assert.deepEqual(counts, [1, 1, 2]);
+    engine.stopRandom('crow');
+    assert.equal(engine.getActiveCount(), 1);
+});
+
+test('stopAll clears sources and schedulers', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'rain');
+    addSound(engine, 'crow');
+
+    engine.playSound('rain');
+    engine.playSound('rain');
+    engine.startRandom('crow');
+    engine.stopAll();
+
+    assert.equal(engine.getActiveCount(), 0);
+});
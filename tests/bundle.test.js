@@ -0,0 +1,80 @@
+// tests/bundle.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { FakeAudioContext, loadScripts } = require('./fake-audio');
+
+const audioFile = (name, bytes) => new File([new Uint8Array(bytes)], name, { type: 'audio/mpeg' });
+
+function createApp() {
+    const context = loadScripts(
+        ['effects.js', 'voice.js', 'app.js', 'scenes.js', 'sequences.js', 'hotkeys.js', 'bundle.js'],
+        { crypto: webcrypto, Blob, File, TextEncoder, TextDecoder, Response }
+    );
+    const [AudioEngine, SoundboardApp, SceneManager, CueSequencer, HotkeyManager, BundleManager] = vm.runInContext(
+        '[AudioEngine, SoundboardApp, SceneManager, CueSequencer, HotkeyManager, BundleManager]', context
+    );
+    const app = Object.assign(Object.create(SoundboardApp.prototype), {
+        audioEngine: new AudioEngine(new FakeAudioContext()),
+        storage: {
+            saveSound: async () => {},
+            updateSound: async () => {},
+            saveScene: async () => {},
+            saveSequence: async () => {},
+            deleteSequence: async () => {}
+        },
+        loadedSounds: new Map(),
+        activeSounds: new Map(),
+        soundCounter: 0,
+        refreshSoundCard() {}
+    });
+    app.sceneManager = new SceneManager(app);
+    app.sequencer = new CueSequencer(app);
+    app.hotkeys = new HotkeyManager(app);
+    app.bundleManager = new BundleManager(app);
+    return app;
+}
+
+test('sequences and their card links survive an export and import', async () => {
+    const source = createApp();
+    const { soundId: rumbleId } = await source.addSound(audioFile('rumble.mp3', [1, 2, 3]), 'default');
+    const { soundId: roarId } = await source.addSound(audioFile('roar.mp3', [4, 5]), 'default');
+    const sequence = source.sequencer.createSequence('Дракон');
+    source.sequencer.updateSequence(sequence.id, { hotkey: 'KeyD' });
+    const first = source.sequencer.addCue(sequence.id, rumbleId);
+    const second = source.sequencer.addCue(sequence.id, roarId);
+    source.sequencer.updateCue(sequence.id, second.id, { action: 'fade', value: 0.5, duration: 2 });
+    source.setSoundSequence(roarId, sequence.id);
+
+    const { blob } = await source.bundleManager.exportBundle();
+    const target = createApp();
+    const result = await target.bundleManager.importBundle(new File([blob], 'bundle.zip'));
+
+    assert.equal(result.importedCount, 2);
+    assert.equal(result.sequenceCount, 1);
+    const [imported] = Array.from(target.sequencer.sequences.values());
+    const soundIdByName = new Map(Array.from(target.audioEngine.sounds, ([soundId, sound]) => [sound.name, soundId]));
+    assert.equal(imported.name, 'Дракон');
+    assert.equal(imported.hotkey, 'KeyD');
+    assert.deepEqual(Array.from(imported.cues, (cue) => [cue.time, cue.soundId, cue.action, cue.value, cue.duration]), [
+        [first.time, soundIdByName.get('rumble.mp3'), 'play', 1, 0],
+        [second.time, soundIdByName.get('roar.mp3'), 'fade', 0.5, 2]
+    ]);
+    assert.equal(target.audioEngine.sounds.get(soundIdByName.get('roar.mp3')).sequenceId, imported.id);
+    assert.equal(target.audioEngine.sounds.get(soundIdByName.get('rumble.mp3')).sequenceId, null);
+});
+
+test('links to sequences missing from the bundle are dropped on import', async () => {
+    const source = createApp();
+    const { soundId } = await source.addSound(audioFile('roar.mp3', [4, 5]), 'default');
+    source.setSoundSequence(soundId, 'sequence_gone');
+
+    const { blob } = await source.bundleManager.exportBundle();
+    const target = createApp();
+    await target.bundleManager.importBundle(new File([blob], 'bundle.zip'));
+
+    const [sound] = Array.from(target.audioEngine.sounds.values());
+    assert.equal(sound.sequenceId, null);
+    assert.equal(target.sequencer.sequences.size, 0);
+});
@@ -0,0 +1,116 @@
+// tests/ducking.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createEngine, addSound } = require('./fake-audio');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+function setup() {
+    const { engine, audioContext } = createEngine();
+    engine.folders.set('music', { id: 'music', name: 'Музыка', role: 'music', parentId: null });
+    engine.folders.set('sfx', { id: 'sfx', name: 'Эффекты', role: 'effects', parentId: null });
+    addSound(engine, 'theme', { duration: 120, folderId: 'music', loop: true });
+    addSound(engine, 'roar', { duration: 2, folderId: 'sfx' });
+    addSound(engine, 'rain', { duration: 60 });
+    return { engine, audioContext };
+}
+
+test('sound role falls back to the folder role', () => {
+    const { engine } = setup();
+
+    assert.equal(engine.getSoundRole('theme'), 'music');
+    assert.equal(engine.getSoundRole('roar'), 'effects');
+    assert.equal(engine.getSoundRole('rain'), 'none');
+
+    engine.setSoundRole('rain', 'music');
+    assert.equal(engine.getSoundRole('rain'), 'music');
+});
+
+test('an effect ducks playing music and it recovers when the effect ends', () => {
+    const { engine, audioContext } = setup();
+    engine.setDucking({ amount: 0.75 });
+
+    const theme = engine.playSound('theme');
+    const rain = engine.playSound('rain');
+    const music = engine.activeSources.get(theme);
+    close(music.duckNode.gain.value, 1);
+
+    engine.playSound('roar');
+    close(music.duckNode.gain.value, 0.25);
+    close(engine.activeSources.get(rain).duckNode.gain.value, 1);
+    assert.equal(music.duckNode.gain.events.at(-1).type, 'ramp');
+    close(music.duckNode.gain.events.at(-1).time, engine.ducking.attack);
+
+    audioContext.advance(2.5);
+    close(music.duckNode.gain.value, 1);
+    close(music.duckNode.gain.events.at(-1).time, 2.5 + engine.ducking.release);
+});
+
+test('music started during an effect starts ducked', () => {
+    const { engine } = setup();
+
+    engine.playSound('roar');
+    const theme = engine.playSound('theme');
+
+    close(engine.activeSources.get(theme).duckNode.gain.value, 1 - engine.ducking.amount);
+});
+
+test('a paused or stopped effect releases the ducking', () => {
+    const { engine } = setup();
+
+    const theme = engine.playSound('theme');
+    const roar = engine.playSound('roar');
+    const music = engine.activeSources.get(theme);
+
+    engine.pauseSound(roar);
+    close(music.duckNode.gain.value, 1);
+    engine.resumeSound(roar);
+    close(music.duckNode.gain.value, 1 - engine.ducking.amount);
+    engine.stopSound(roar);
+    close(music.duckNode.gain.value, 1);
+});
+
+test('talk-over ducks every source until it is released', () => {
+    const { engine } = setup();
+    engine.setDucking({ talkOverAmount: 0.9 });
+
+    const theme = engine.playSound('theme');
+    const rain = engine.playSound('rain');
+    engine.setTalkOver(true);
+    const roar = engine.playSound('roar');
+
+    [theme, rain, roar].forEach((sourceId) => {
+        close(engine.activeSources.get(sourceId).duckNode.gain.value, 0.1);
+    });
+
+    engine.setTalkOver(false);
+    close(engine.activeSources.get(theme).duckNode.gain.value, 1 - engine.ducking.amount);
+    close(engine.activeSources.get(rain).duckNode.gain.value, 1);
+    close(engine.activeSources.get(roar).duckNode.gain.value, 1);
+});
+
+test('hotkeys on the talk-over key are released with a report', () => {
+    const { engine, context } = createEngine(['hotkeys.js']);
+    const HotkeyManager = vm.runInContext('HotkeyManager', context);
+    addSound(engine, 'roar', { hotkey: 'Backquote' });
+    addSound(engine, 'rain', { hotkey: 'KeyR' });
+    const sequences = new Map([['dragon', { name: 'Дракон', hotkey: 'Backquote' }]]);
+    const app = {
+        audioEngine: engine,
+        sequencer: { sequences },
+        setSoundHotkey: (soundId, code) => { engine.sounds.get(soundId).hotkey = code; },
+        setSequenceHotkey: (sequenceId, code) => { sequences.get(sequenceId).hotkey = code; }
+    };
+    const hotkeys = new HotkeyManager(app);
+
+    const released = hotkeys.releaseReservedKeys();
+
+    assert.equal(released.length, 2);
+    assert.equal(engine.sounds.get('roar').hotkey, null);
+    assert.equal(engine.sounds.get('rain').hotkey, 'KeyR');
+    assert.equal(sequences.get('dragon').hotkey, null);
+    assert.equal(hotkeys.isAvailableKey('Backquote'), false);
+    assert.equal(hotkeys.isAvailableKey('KeyR'), false);
+    assert.equal(hotkeys.isAvailableKey('KeyT'), true);
+});
@@ -0,0 +1,322 @@
+// tests/fake-audio.js
+// Запуск тестов: node --test tests/
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+class FakeAudioParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+
+    setValueAtTime(value, time) {
+        this.value = value;
+        this.events.push({ type: 'set', value, time });
+    }
+
+    linearRampToValueAtTime(value, time) {
+        this.value = value;
+        this.events.push({ type: 'ramp', value, time });
+    }
+
+    setTargetAtTime(value, time) {
+        this.value = value;
+        this.events.push({ type: 'target', value, time });
+    }
+
+    cancelScheduledValues(time) {
+        this.events = this.events.filter((event) => event.time < time);
+    }
+}
+
+class FakeAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.connections = [];
+    }
+
+    connect(node) {
+        this.connections.push(node);
+        return node;
+    }
+
+    disconnect(node) {
+        this.connections = node ? this.connections.filter((connection) => connection !== node) : [];
+    }
+}
+
+class FakeGainNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.gain = new FakeAudioParam(1);
+    }
+}
+
+class FakeAnalyserNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.fftSize = 2048;
+    }
+
+    getByteTimeDomainData(data) {
+        data.fill(128);
+    }
+}
+
+class FakeBiquadFilterNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.type = 'lowpass';
+        this.frequency = new FakeAudioParam(350);
+        this.gain = new FakeAudioParam(0);
+        this.Q = new FakeAudioParam(1);
+    }
+}
+
+class FakeStereoPannerNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.pan = new FakeAudioParam(0);
+    }
+}
+
+class FakeConvolverNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+    }
+}
+
+class FakeDelayNode extends FakeAudioNode {
+    constructor(context, maxDelayTime = 1) {
+        super(context);
+        this.maxDelayTime = maxDelayTime;
+        this.delayTime = new FakeAudioParam(0);
+    }
+}
+
+class FakeOscillatorNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.type = 'sine';
+        this.frequency = new FakeAudioParam(440);
+        this.started = false;
+        this.stopped = false;
+    }
+
+    start() {
+        this.started = true;
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+}
+
+class FakeMediaStream {
+    constructor() {
+        this.tracks = [{ kind: 'audio', readyState: 'live', stop() { this.readyState = 'ended'; } }];
+    }
+
+    getTracks() {
+        return this.tracks;
+    }
+}
+
+class FakeMediaStreamAudioSourceNode extends FakeAudioNode {
+    constructor(context, stream) {
+        super(context);
+        this.mediaStream = stream;
+    }
+}
+
+class FakeMediaStreamAudioDestinationNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.stream = new FakeMediaStream();
+    }
+}
+
+class FakeAudioBuffer {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+class FakeAudioBufferSourceNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+        this.loop = false;
+        this.loopStart = 0;
+        this.loopEnd = 0;
+        this.playbackRate = new FakeAudioParam(1);
+        this.onended = null;
+        this.startedAt = null;
+        this.offset = 0;
+        this.stopAt = null;
+        this.ended = false;
+    }
+
+    start(when = 0, offset = 0) {
+        if (this.startedAt !== null) {
+            throw new Error('InvalidStateError: source already started');
+        }
+        this.startedAt = Math.max(when, this.context.currentTime);
+        this.offset = offset;
+        this.context.sources.push(this);
+    }
+
+    stop(when = 0) {
+        if (this.startedAt === null) {
+            throw new Error('InvalidStateError: source not started');
+        }
+        this.stopAt = Math.max(when, this.context.currentTime);
+    }
+
+    getEndTime() {
+        const naturalEnd = this.loop || !this.buffer
+            ? Infinity
+            : this.startedAt + (this.buffer.duration - this.offset) / this.playbackRate.value;
+        return Math.min(naturalEnd, this.stopAt ?? Infinity);
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.sampleRate = 44100;
+        this.state = 'running';
+        this.destination = new FakeAudioNode(this);
+        this.sources = [];
+    }
+
+    createGain() {
+        return new FakeGainNode(this);
+    }
+
+    // Байт 0 в начале файла имитирует данные, которые браузер не смог декодировать.
+    decodeAudioData(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        if (bytes.length === 0 || bytes[0] === 0) {
+            const error = new Error('Unable to decode audio data');
+            error.name = 'EncodingError';
+            return Promise.reject(error);
+        }
+        return Promise.resolve(new FakeAudioBuffer(2, bytes.length, 100));
+    }
+
+    createAnalyser() {
+        return new FakeAnalyserNode(this);
+    }
+
+    createBiquadFilter() {
+        return new FakeBiquadFilterNode(this);
+    }
+
+    createStereoPanner() {
+        return new FakeStereoPannerNode(this);
+    }
+
+    createConvolver() {
+        return new FakeConvolverNode(this);
+    }
+
+    createBufferSource() {
+        return new FakeAudioBufferSourceNode(this);
+    }
+
+    createDelay(maxDelayTime) {
+        return new FakeDelayNode(this, maxDelayTime);
+    }
+
+    createOscillator() {
+        return new FakeOscillatorNode(this);
+    }
+
+    createMediaStreamSource(stream) {
+        return new FakeMediaStreamAudioSourceNode(this, stream);
+    }
+
+    createMediaStreamDestination() {
+        return new FakeMediaStreamAudioDestinationNode(this);
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new FakeAudioBuffer(numberOfChannels, length, sampleRate);
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    advance(seconds) {
+        this.currentTime += seconds;
+        this.processEnded();
+    }
+
+    processEnded() {
+        const ended = this.sources.filter((source) => source.getEndTime() <= this.currentTime);
+        this.sources = this.sources.filter((source) => !ended.includes(source));
+        ended.forEach((source) => {
+            source.ended = true;
+            if (source.onended) source.onended();
+        });
+    }
+
+    getPlayingSources() {
+        return this.sources.filter((source) => source.startedAt <= this.currentTime);
+    }
+}
+
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        window: { addEventListener() {} },
+        ...globals
+    });
+    files.forEach((file) => {
+        const filePath = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    });
+    return context;
+}
+
+function createEngine(extraFiles = []) {
+    const audioContext = new FakeAudioContext();
+    const context = loadScripts(['effects.js', 'voice.js', 'app.js', ...extraFiles], { crypto: webcrypto });
+    const AudioEngine = vm.runInContext('AudioEngine', context);
+    return { engine: new AudioEngine(audioContext), audioContext, context };
+}
+
+function addSound(engine, id, options = {}) {
+    const { duration = 10, folderId = 'default', ...settings } = options;
+    const buffer = new FakeAudioBuffer(2, Math.round(duration * 100), 100);
+    engine.registerSound(id, { name: `${id}.mp3`, duration, folderId, ...settings }, null);
+    engine.sounds.get(id).buffer = buffer;
+    return engine.sounds.get(id);
+}
+
+module.exports = {
+    FakeAudioContext,
+    FakeAudioBuffer,
+    FakeMediaStream,
+    loadScripts,
+    createEngine,
+    addSound
+};
@@ -0,0 +1,63 @@
+// tests/folders.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, addSound } = require('./fake-audio');
+
+function addFolder(engine, id, parentId = null) {
+    engine.folders.set(id, { id, name: id, color: '#ffffff', icon: '📁', volume: 1, muted: false, parentId });
+}
+
+test('deleteFolder moves its sounds to the default folder', () => {
+    const { engine } = createEngine();
+    addFolder(engine, 'tavern');
+    addSound(engine, 'lute', { folderId: 'tavern' });
+    addSound(engine, 'rain');
+
+    assert.equal(engine.deleteFolder('tavern'), true);
+
+    assert.equal(engine.folders.has('tavern'), false);
+    assert.equal(engine.sounds.get('lute').folderId, 'default');
+    assert.deepEqual(Array.from(engine.getSoundsByFolder('default'), (sound) => sound.id), ['rain', 'lute']);
+});
+
+test('deleteFolder reparents child folders', () => {
+    const { engine } = createEngine();
+    addFolder(engine, 'city');
+    addFolder(engine, 'tavern', 'city');
+    addFolder(engine, 'cellar', 'tavern');
+
+    engine.deleteFolder('tavern');
+
+    assert.equal(engine.folders.get('cellar').parentId, 'city');
+    assert.deepEqual(Array.from(engine.getFolderTree(), ({ folder, depth }) => [folder.id, depth]), [
+        ['default', 0],
+        ['city', 0],
+        ['cellar', 1]
+    ]);
+});
+
+test('deleteFolder reroutes playing sounds to the default bus', () => {
+    const { engine } = createEngine();
+    addFolder(engine, 'tavern');
+    addSound(engine, 'lute', { folderId: 'tavern' });
+
+    const sourceId = engine.playSound('lute');
+    const tavernBus = engine.getFolderBus('tavern');
+    engine.deleteFolder('tavern');
+
+    const activeSound = engine.activeSources.get(sourceId);
+    assert.equal(activeSound.folderId, 'default');
+    assert.deepEqual(activeSound.gainNode.connections, [activeSound.duckNode]);
+    assert.deepEqual(activeSound.duckNode.connections, [engine.getFolderBus('default').gainNode]);
+    assert.equal(engine.folderBuses.has('tavern'), false);
+    assert.deepEqual(tavernBus.gainNode.connections, []);
+    assert.equal(engine.getActiveCount(), 1);
+});
+
+test('the default folder cannot be deleted', () => {
+    const { engine } = createEngine();
+
+    assert.equal(engine.deleteFolder('default'), false);
+    assert.equal(engine.deleteFolder('missing'), false);
+    assert.equal(engine.folders.has('default'), true);
+});
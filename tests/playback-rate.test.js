@@ -0,0 +1,121 @@
+// tests/playback-rate.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { createEngine, addSound } = require('./fake-audio');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+test('sound rate and detune are applied to the source', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'steps', { playback: { rate: 1.5, detune: 1200 } });
+
+    const sourceId = engine.playSound('steps');
+
+    close(engine.activeSources.get(sourceId).source.playbackRate.value, 3);
+});
+
+test('pause and resume keep the offset at a non-1.0 rate', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'steps', { duration: 60, playback: { rate: 0.5 } });
+
+    const sourceId = engine.playSound('steps');
+    audioContext.advance(4);
+    engine.pauseSound(sourceId);
+    close(engine.getPlaybackPosition(sourceId), 2);
+
+    audioContext.advance(5);
+    engine.resumeSound(sourceId);
+    const source = engine.activeSources.get(sourceId).source;
+    close(source.offset, 2);
+    close(source.playbackRate.value, 0.5);
+
+    audioContext.advance(2);
+    close(engine.getPlaybackPosition(sourceId), 3);
+});
+
+test('trimmed sources stop at the region end scaled by the rate', () => {
+    const { engine } = createEngine();
+    addSound(engine, 'sword', { duration: 10, region: { start: 0, end: 4 }, playback: { rate: 2 } });
+
+    const sourceId = engine.playSound('sword');
+
+    close(engine.activeSources.get(sourceId).source.stopAt, 2);
+    close(engine.getRemainingTime(sourceId), 2);
+});
+
+test('variation picks a random rate per trigger within the range', () => {
+    const { engine, context } = createEngine();
+    addSound(engine, 'sword', { playback: { variation: 12 } });
+
+    vm.runInContext('Math.random = () => 1', context);
+    const high = engine.playSound('sword');
+    vm.runInContext('Math.random = () => 0.25', context);
+    const low = engine.playSound('sword');
+
+    close(engine.activeSources.get(high).source.playbackRate.value, 2);
+    close(engine.activeSources.get(low).source.playbackRate.value, Math.SQRT1_2);
+});
+
+test('variation combines with the random mode pitch', () => {
+    const { engine, context } = createEngine();
+    addSound(engine, 'steps', { playback: { rate: 2, variation: 12 } });
+    vm.runInContext('Math.random = () => 1', context);
+
+    const sourceId = engine.playSound('steps', { playbackRate: 0.5 });
+
+    close(engine.activeSources.get(sourceId).playbackRate, 2);
+});
+
+test('setSoundPlayback retunes playing sources in place', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'steps', { duration: 60 });
+
+    const sourceId = engine.playSound('steps');
+    audioContext.advance(4);
+    engine.setSoundPlayback('steps', { rate: 2 });
+    audioContext.advance(0);
+
+    const source = engine.activeSources.get(sourceId).source;
+    close(source.offset, 4);
+    close(source.playbackRate.value, 2);
+
+    audioContext.advance(1);
+    close(engine.getPlaybackPosition(sourceId), 6);
+});
+
+test('setSoundPlayback on a paused source applies on resume', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'steps', { duration: 60 });
+
+    const sourceId = engine.playSound('steps');
+    audioContext.advance(3);
+    engine.pauseSound(sourceId);
+    engine.setSoundPlayback('steps', { rate: 0.5 });
+    close(engine.getPlaybackPosition(sourceId), 3);
+
+    engine.resumeSound(sourceId);
+    audioContext.advance(2);
+    close(engine.getPlaybackPosition(sourceId), 4);
+});
+
+test('setSoundPlayback clamps out-of-range values', () => {
+    const { engine } = createEngine();
+    const sound = addSound(engine, 'steps');
+
+    engine.setSoundPlayback('steps', { rate: 10, detune: -5000, variation: -1 });
+
+    assert.equal(sound.playback.rate, 4);
+    assert.equal(sound.playback.detune, -1200);
+    assert.equal(sound.playback.variation, 0);
+});
+
+test('a delayed start reports its start offset until it begins', () => {
+    const { engine, audioContext } = createEngine();
+    addSound(engine, 'steps', { duration: 60, playback: { rate: 2 } });
+
+    const sourceId = engine.playSound('steps', { offset: 5, when: 2 });
+    audioContext.advance(1);
+
+    close(engine.getPlaybackPosition(sourceId), 5);
+});
@@ -0,0 +1,220 @@
+// tests/sequences.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createEngine, addSound } = require('./fake-audio');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+function createSequencer() {
+    const { engine, audioContext, context } = createEngine(['sequences.js']);
+    const CueSequencer = vm.runInContext('CueSequencer', context);
+    const app = {
+        audioEngine: engine,
+        activeSounds: new Map(),
+        storage: { saveSequence: async () => {}, deleteSequence: async () => {} },
+        persist: (operation) => operation(),
+        saveSoundSettings() {},
+        refreshSoundCard() {}
+    };
+    const sequencer = new CueSequencer(app);
+    sequencer.startDelay = 0;
+    return { engine, audioContext, app, sequencer };
+}
+
+function createDragonSequence(sequencer) {
+    const sequence = sequencer.createSequence('Дракон');
+    [
+        { time: 0, soundId: 'rumble', action: 'play' },
+        { time: 3, soundId: 'roar', action: 'play' },
+        { time: 5, soundId: 'battle', action: 'fade', value: 0.8, duration: 2 },
+        { time: 8, soundId: 'rumble', action: 'stop' }
+    ].forEach((cue) => {
+        const added = sequencer.addCue(sequence.id, cue.soundId);
+        sequencer.updateCue(sequence.id, added.id, cue);
+    });
+    return sequence;
+}
+
+function addDragonSounds(engine) {
+    addSound(engine, 'rumble', { duration: 60, loop: true });
+    addSound(engine, 'roar', { duration: 4 });
+    addSound(engine, 'battle', { duration: 120, volume: 1 });
+}
+
+test('cues are kept sorted and new cues go after the last one', () => {
+    const { engine, sequencer } = createSequencer();
+    addSound(engine, 'roar');
+    const sequence = sequencer.createSequence('Test');
+
+    const first = sequencer.addCue(sequence.id, 'roar');
+    const second = sequencer.addCue(sequence.id, 'roar');
+    sequencer.updateCue(sequence.id, second.id, { time: 0.5 });
+    sequencer.updateCue(sequence.id, first.id, { time: 2 });
+
+    assert.equal(first.time, 2);
+    assert.deepEqual(Array.from(sequence.cues, (cue) => cue.id), [second.id, first.id]);
+});
+
+test('cues are scheduled on the audio clock at their exact offsets', async () => {
+    const { engine, audioContext, app, sequencer } = createSequencer();
+    addDragonSounds(engine);
+    const sequence = createDragonSequence(sequencer);
+    audioContext.currentTime = 10;
+
+    await sequencer.start(sequence.id);
+    const rumble = engine.activeSources.get(app.activeSounds.get('rumble'));
+    assert.equal(rumble.source.startedAt, 10);
+    assert.equal(app.activeSounds.has('roar'), false);
+
+    audioContext.currentTime = 12.95;
+    sequencer.tick();
+    const roar = engine.activeSources.get(app.activeSounds.get('roar'));
+    assert.equal(roar.source.startedAt, 13);
+
+    audioContext.currentTime = 14.92;
+    sequencer.tick();
+    const battle = engine.activeSources.get(app.activeSounds.get('battle'));
+    assert.equal(battle.source.startedAt, 15);
+    assert.deepEqual(battle.gainNode.gain.events.map((event) => [event.type, event.value, event.time]), [
+        ['set', 0, 15],
+        ['ramp', 0.8, 17]
+    ]);
+
+    audioContext.currentTime = 17.95;
+    sequencer.tick();
+    close(rumble.source.stopAt, 18);
+    assert.equal(app.activeSounds.has('rumble'), false);
+    assert.equal(sequencer.isRunning(sequence.id), true);
+
+    audioContext.currentTime = 18;
+    sequencer.tick();
+    assert.equal(sequencer.isRunning(sequence.id), false);
+    assert.equal(sequencer.timer, null);
+});
+
+test('a volume ramp on a playing sound starts at the cue time and leaves its settings alone', async () => {
+    const { engine, audioContext, app, sequencer } = createSequencer();
+    addSound(engine, 'battle', { duration: 120 });
+    let savedSettings = 0;
+    app.saveSoundSettings = () => savedSettings++;
+    const sequence = sequencer.createSequence('Fade out');
+    const cue = sequencer.addCue(sequence.id, 'battle');
+    sequencer.updateCue(sequence.id, cue.id, { time: 0.05, action: 'fade', value: 0.2, duration: 4 });
+    const sourceId = engine.playSound('battle');
+    app.activeSounds.set('battle', sourceId);
+
+    await sequencer.start(sequence.id);
+
+    const events = engine.activeSources.get(sourceId).gainNode.gain.events;
+    assert.deepEqual(events.slice(-2).map((event) => [event.type, event.value, event.time]), [
+        ['set', 1, 0.05],
+        ['ramp', 0.2, 4.05]
+    ]);
+    assert.equal(engine.activeSources.get(sourceId).gainScale, 0.2);
+    assert.equal(engine.sounds.get('battle').volume, 1);
+    assert.equal(savedSettings, 0);
+
+    audioContext.currentTime = 4.05;
+    sequencer.tick();
+    assert.equal(sequencer.isRunning(sequence.id), false);
+});
+
+test('loop changes wait until their cue time and only affect the running source', async () => {
+    const { engine, audioContext, app, sequencer } = createSequencer();
+    addSound(engine, 'rumble', { duration: 60 });
+    const sequence = sequencer.createSequence('Loop');
+    const cue = sequencer.addCue(sequence.id, 'rumble');
+    sequencer.updateCue(sequence.id, cue.id, { time: 1, action: 'loop', value: 1 });
+    const sourceId = engine.playSound('rumble');
+    app.activeSounds.set('rumble', sourceId);
+    const activeSound = engine.activeSources.get(sourceId);
+
+    await sequencer.start(sequence.id);
+    audioContext.currentTime = 0.95;
+    sequencer.tick();
+    assert.equal(activeSound.source.loop, false);
+
+    audioContext.currentTime = 1;
+    sequencer.tick();
+    assert.equal(activeSound.source.loop, true);
+    assert.equal(activeSound.loop, true);
+    assert.equal(engine.sounds.get('rumble').loop, false);
+    assert.equal(sequencer.isRunning(sequence.id), false);
+});
+
+test('abort cancels pending cues and stops sounds the sequence started', async () => {
+    const { engine, audioContext, app, sequencer } = createSequencer();
+    addDragonSounds(engine);
+    const sequence = createDragonSequence(sequencer);
+
+    await sequencer.start(sequence.id);
+    audioContext.currentTime = 1;
+    sequencer.abort(sequence.id);
+    audioContext.currentTime = 10;
+    sequencer.tick();
+
+    assert.equal(sequencer.isRunning(sequence.id), false);
+    assert.equal(engine.activeSources.size, 0);
+    assert.equal(app.activeSounds.size, 0);
+    assert.equal(sequencer.timer, null);
+});
+
+test('a sequence can still be aborted during its final fade', async () => {
+    const { engine, audioContext, app, sequencer } = createSequencer();
+    addSound(engine, 'battle', { duration: 120 });
+    const sequence = sequencer.createSequence('Fade in');
+    const cue = sequencer.addCue(sequence.id, 'battle');
+    sequencer.updateCue(sequence.id, cue.id, { time: 1, action: 'fade', value: 0.8, duration: 4 });
+
+    await sequencer.start(sequence.id);
+    audioContext.currentTime = 0.95;
+    sequencer.tick();
+    assert.equal(engine.activeSources.size, 1);
+
+    audioContext.currentTime = 3;
+    sequencer.tick();
+    assert.equal(sequencer.isRunning(sequence.id), true);
+    assert.equal(sequencer.getRunPosition(sequence.id), 3);
+
+    sequencer.abort(sequence.id);
+    assert.equal(engine.activeSources.size, 0);
+    assert.equal(app.activeSounds.size, 0);
+    assert.equal(sequencer.timer, null);
+});
+
+test('pausing everything holds pending cues and shifts them by the pause length', async () => {
+    const { engine, audioContext, app, sequencer } = createSequencer();
+    addDragonSounds(engine);
+    const sequence = createDragonSequence(sequencer);
+
+    await sequencer.start(sequence.id);
+    audioContext.currentTime = 1;
+    sequencer.suspend();
+    assert.equal(sequencer.timer, null);
+
+    audioContext.currentTime = 6;
+    sequencer.tick();
+    assert.equal(app.activeSounds.has('roar'), false);
+    assert.equal(sequencer.getRunPosition(sequence.id), 1);
+
+    sequencer.resume();
+    assert.notEqual(sequencer.timer, null);
+    assert.equal(sequencer.getRunPosition(sequence.id), 1);
+
+    audioContext.currentTime = 7.95;
+    sequencer.tick();
+    const roar = engine.activeSources.get(app.activeSounds.get('roar'));
+    assert.equal(roar.source.startedAt, 8);
+    sequencer.abort(sequence.id);
+});
+
+test('removing a sound drops its cues from every sequence', () => {
+    const { engine, sequencer } = createSequencer();
+    addDragonSounds(engine);
+    const sequence = createDragonSequence(sequencer);
+
+    sequencer.removeSound('rumble');
+
+    assert.deepEqual(Array.from(sequence.cues, (cue) => cue.soundId), ['roar', 'battle']);
+});
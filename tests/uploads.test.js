@@ -0,0 +1,159 @@
+// tests/uploads.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createEngine } = require('./fake-audio');
+
+const audioFile = (name, bytes, type = 'audio/mpeg') => new File([new Uint8Array(bytes)], name, { type });
+
+function createQueue() {
+    const { engine, context } = createEngine(['uploads.js']);
+    const UploadQueue = vm.runInContext('UploadQueue', context);
+    let counter = 0;
+    const app = {
+        audioEngine: engine,
+        saved: [],
+        async addSound(file, folderId, settings, decoded) {
+            const soundId = `sound_${counter++}`;
+            engine.addDecodedSound(soundId, file, decoded.buffer, decoded.hash, folderId);
+            return { soundId, saved: true };
+        },
+        saveSoundSettings(soundId) {
+            app.saved.push(soundId);
+        }
+    };
+    return { engine, app, queue: new UploadQueue(app) };
+}
+
+test('files are decoded and added with their content hash', async () => {
+    const { engine, queue } = createQueue();
+
+    const summary = await queue.add([audioFile('rain.mp3', [1, 2, 3]), audioFile('wind.mp3', [4, 5])], 'default');
+
+    assert.equal(summary.loadedCount, 2);
+    assert.deepEqual(Array.from(summary.failures), []);
+    assert.equal(engine.sounds.size, 2);
+    assert.ok(Array.from(engine.sounds.values()).every((sound) => /^[0-9a-f]{64}$/.test(sound.hash)));
+    assert.ok(queue.items.every((item) => item.status === 'done' && item.progress === 1));
+});
+
+test('failures are reported with a reason instead of disappearing', async () => {
+    const { engine, queue } = createQueue();
+    queue.maxFileSize = 4;
+    queue.isSupportedType = (file) => file.type !== 'audio/x-unknown';
+
+    const summary = await queue.add([
+        audioFile('big.mp3', [1, 2, 3, 4, 5]),
+        audioFile('broken.mp3', [0, 1]),
+        audioFile('strange.xyz', [0, 2], 'audio/x-unknown'),
+        audioFile('ok.mp3', [7])
+    ], 'default');
+
+    assert.equal(summary.loadedCount, 1);
+    assert.equal(engine.sounds.size, 1);
+    assert.deepEqual(Array.from(summary.failures, (failure) => [failure.name, failure.reason]), [
+        ['big.mp3', 'too-large'],
+        ['broken.mp3', 'corrupt'],
+        ['strange.xyz', 'unsupported']
+    ]);
+});
+
+test('duplicates are detected by content before being added', async () => {
+    const { engine, queue } = createQueue();
+    await queue.add([audioFile('rain.mp3', [1, 2, 3])], 'default');
+
+    const summary = await queue.add([
+        audioFile('rain copy.mp3', [1, 2, 3]),
+        audioFile('wind.mp3', [4, 5]),
+        audioFile('wind again.mp3', [4, 5])
+    ], 'default');
+
+    assert.equal(summary.loadedCount, 1);
+    assert.equal(summary.duplicateCount, 2);
+    assert.equal(engine.sounds.size, 2);
+    assert.equal(queue.items[0].duplicateOf, 'rain.mp3');
+});
+
+test('sounds restored without a hash are hashed before checking duplicates', async () => {
+    const { engine, app, queue } = createQueue();
+    const file = audioFile('rain.mp3', [1, 2, 3]);
+    engine.registerSound('stored', { name: 'rain.mp3', folderId: 'default' }, async () => file);
+
+    const summary = await queue.add([audioFile('rain.mp3', [1, 2, 3])], 'default');
+
+    assert.equal(summary.duplicateCount, 1);
+    assert.ok(engine.sounds.get('stored').hash);
+    assert.deepEqual(app.saved, ['stored']);
+});
+
+test('only stored sounds that could match an incoming file are hashed', async () => {
+    const { engine, app, queue } = createQueue();
+    const fetched = [];
+    const register = (id, bytes, settings = {}) => {
+        engine.registerSound(id, { name: `${id}.mp3`, folderId: 'default', ...settings }, async () => {
+            fetched.push(id);
+            return audioFile(`${id}.mp3`, bytes);
+        });
+    };
+    register('known', [1, 2, 3, 4, 5], { size: 5 });
+    register('legacy', [1, 2, 3, 4]);
+
+    const summary = await queue.add([audioFile('rain.mp3', [1, 2, 3]), audioFile('wind.mp3', [4, 5, 6])], 'default');
+
+    assert.equal(summary.loadedCount, 2);
+    assert.deepEqual(fetched, ['legacy']);
+    assert.equal(engine.sounds.get('known').hash, null);
+    assert.equal(engine.sounds.get('legacy').hash, null);
+    assert.equal(engine.sounds.get('legacy').size, 4);
+    assert.deepEqual(app.saved, ['legacy']);
+});
+
+test('a stored sound skipped in one batch is hashed when a later batch has its size', async () => {
+    const { engine, queue } = createQueue();
+    engine.registerSound('stored', { name: 'rain.mp3', folderId: 'default' }, async () => audioFile('rain.mp3', [1, 2, 3, 4]));
+
+    await queue.add([audioFile('wind.mp3', [5, 6])], 'default');
+    assert.equal(engine.sounds.get('stored').hash, null);
+
+    const summary = await queue.add([audioFile('rain again.mp3', [1, 2, 3, 4])], 'default');
+
+    assert.equal(summary.duplicateCount, 1);
+    assert.equal(summary.loadedCount, 0);
+    assert.ok(engine.sounds.get('stored').hash);
+});
+
+test('several files are processed at once up to the concurrency limit', async () => {
+    const { engine, queue } = createQueue();
+    let decoding = 0;
+    let maxDecoding = 0;
+    const decodeData = engine.decodeData.bind(engine);
+    engine.decodeData = async (data) => {
+        decoding++;
+        maxDecoding = Math.max(maxDecoding, decoding);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        decoding--;
+        return decodeData(data);
+    };
+
+    const files = [1, 2, 3, 4, 5].map((n) => audioFile(`${n}.mp3`, [n]));
+    await queue.add(files, 'default');
+
+    assert.equal(maxDecoding, queue.concurrency);
+    assert.equal(engine.sounds.size, 5);
+});
+
+test('cancel stops queued files and keeps finished ones', async () => {
+    const { engine, queue } = createQueue();
+    queue.concurrency = 1;
+    queue.onChange = (item) => {
+        if (item && item.status === 'done') queue.cancel();
+    };
+
+    const summary = await queue.add([1, 2, 3].map((n) => audioFile(`${n}.mp3`, [n])), 'default');
+
+    assert.equal(summary.cancelled, true);
+    assert.equal(summary.loadedCount, 1);
+    assert.equal(engine.sounds.size, 1);
+    assert.deepEqual(Array.from(queue.items, (item) => item.reason), [null, 'cancelled', 'cancelled']);
+    assert.deepEqual(Array.from(summary.failures), []);
+});
@@ -0,0 +1,108 @@
+// tests/voice.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, FakeAudioBuffer, FakeMediaStream } = require('./fake-audio');
+
+test('a media stream feeds the voice channel and counts as active', () => {
+    const { engine } = createEngine();
+    const voice = engine.voice;
+    const stream = new FakeMediaStream();
+    const counts = [];
+    engine.onActiveCountChange = (count) => counts.push(count);
+
+    assert.equal(voice.isActive(), false);
+    voice.start(stream);
+
+    assert.equal(voice.isActive(), true);
+    assert.equal(voice.source.mediaStream, stream);
+    assert.ok(voice.source.connections.includes(voice.input));
+    assert.equal(engine.getActiveCount(), 1);
+
+    voice.stop();
+    assert.equal(voice.isActive(), false);
+    assert.equal(stream.getTracks()[0].readyState, 'ended');
+    assert.deepEqual(counts, [1, 0]);
+});
+
+test('a file-backed stream can stand in for the microphone', () => {
+    const { engine, audioContext } = createEngine();
+    const voice = engine.voice;
+
+    voice.startFile(new FakeAudioBuffer(1, 100, 100));
+    const fileSource = voice.fileSource;
+
+    assert.equal(voice.isActive(), true);
+    assert.equal(fileSource.loop, true);
+    assert.ok(audioContext.getPlayingSources().includes(fileSource));
+
+    voice.stop();
+    assert.notEqual(fileSource.stopAt, null);
+    assert.equal(voice.fileSource, null);
+});
+
+test('the monitored voice goes through the master bus and is recorded once', () => {
+    const { engine } = createEngine();
+    const voice = engine.voice;
+
+    assert.ok(voice.monitorGain.connections.includes(engine.masterGain));
+    assert.equal(voice.monitorGain.gain.value, 1);
+    assert.equal(voice.recordTap.gain.value, 0);
+
+    voice.setMonitoring(false);
+    assert.equal(voice.monitorGain.gain.value, 0);
+    assert.equal(voice.recordTap.gain.value, 1);
+
+    voice.setMonitoring(true);
+    assert.equal(voice.monitorGain.gain.value, 1);
+    assert.equal(voice.recordTap.gain.value, 0);
+});
+
+test('stop all switches the voice off', () => {
+    const { engine, audioContext } = createEngine();
+    engine.voice.startFile(audioContext.createBuffer(1, 44100, 44100));
+
+    engine.stopAll();
+
+    assert.equal(engine.voice.isActive(), false);
+});
+
+test('presets rebuild the processing chain between input and output', () => {
+    const { engine } = createEngine();
+    const voice = engine.voice;
+
+    assert.ok(voice.input.connections.includes(voice.output));
+
+    voice.setPreset('construct');
+    const [carrier, ring] = voice.presetNodes;
+    assert.equal(carrier.started, true);
+    assert.ok(carrier.connections.includes(ring.gain));
+    assert.equal(voice.input.connections.length, 1);
+    assert.equal(voice.input.connections[0], ring);
+    assert.ok(ring.connections.includes(voice.output));
+
+    voice.setPreset('ghost');
+    assert.equal(carrier.stopped, true);
+    assert.equal(voice.input.connections.length, 1);
+    const delay = voice.presetNodes[1];
+    assert.equal(delay.delayTime.value, 0.3);
+
+    voice.setPreset('giant');
+    const delays = voice.presetNodes.filter((node) => node.delayTime);
+    assert.equal(delays.length, 2);
+    assert.equal(voice.input.connections.length, 2);
+    assert.ok(delays.every((node) => voice.input.connections.includes(node)));
+
+    assert.equal(voice.setPreset('unknown'), 'none');
+    assert.equal(voice.input.connections.length, 1);
+    assert.equal(voice.input.connections[0], voice.output);
+});
+
+test('voice settings round-trip through getSettings', () => {
+    const { engine } = createEngine();
+    const voice = engine.voice;
+
+    voice.applySettings({ preset: 'ghost', volume: 0.4, monitoring: false });
+
+    assert.deepEqual({ ...voice.getSettings() }, { preset: 'ghost', volume: 0.4, monitoring: false });
+    assert.equal(voice.output.gain.value, 0.4);
+});
@@ -0,0 +1,230 @@
+// uploads.js
+class UploadQueue {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.concurrency = 3;
+        this.maxFileSize = 200 * 1024 * 1024;
+        this.items = [];
+        this.nextItemId = 1;
+        this.running = false;
+        this.cancelled = false;
+        this.hashing = new Map();
+        this.done = null;
+        this.onChange = null;
+    }
+
+    static getReasonLabels() {
+        return {
+            'too-large': 'Файл слишком большой',
+            unsupported: 'Формат не поддерживается',
+            corrupt: 'Файл поврежден',
+            duplicate: 'Уже есть в библиотеке',
+            cancelled: 'Отменено',
+            failed: 'Ошибка загрузки'
+        };
+    }
+
+    add(files, folderId) {
+        if (!this.running) {
+            this.items = [];
+            this.cancelled = false;
+        }
+
+        files.forEach((file) => {
+            this.items.push({
+                id: this.nextItemId++,
+                file: file,
+                folderId: folderId,
+                status: 'queued',
+                progress: 0,
+                reason: null,
+                message: null,
+                hash: null,
+                soundId: null,
+                saved: false,
+                duplicateOf: null
+            });
+        });
+        this.notify();
+
+        if (!this.running) {
+            this.running = true;
+            this.done = this.process().finally(() => {
+                this.running = false;
+                this.notify();
+            });
+        }
+        return this.done;
+    }
+
+    cancel() {
+        if (!this.running) return false;
+
+        this.cancelled = true;
+        this.items.forEach((item) => {
+            if (item.status === 'queued') this.fail(item, 'cancelled');
+        });
+        return true;
+    }
+
+    async process() {
+        const workers = [];
+        for (let i = 0; i < this.concurrency; i++) {
+            workers.push(this.work());
+        }
+        await Promise.all(workers);
+        return this.getSummary();
+    }
+
+    async work() {
+        let item;
+        while ((item = this.items.find((queued) => queued.status === 'queued'))) {
+            await this.processItem(item);
+        }
+    }
+
+    // С новым файлом может совпасть только сохраненный звук того же размера, поэтому хэшируются
+    // лишь такие. Размер старых записей узнается при первой проверке и сохраняется вместе с ними.
+    async hashMatchingSounds(size) {
+        for (const [id, sound] of this.audioEngine.sounds) {
+            if (this.cancelled) break;
+            if (sound.hash || (sound.size !== null && sound.size !== size)) continue;
+
+            if (!this.hashing.has(id)) {
+                this.hashing.set(id, this.hashStoredSound(id, sound).finally(() => this.hashing.delete(id)));
+            }
+            await this.hashing.get(id);
+        }
+    }
+
+    async hashStoredSound(id, sound) {
+        try {
+            const file = sound.file || await sound.fetchFile();
+            sound.size = file.size;
+            if (this.items.some((item) => item.file.size === file.size)) {
+                sound.hash = await AudioEngine.hashData(await file.arrayBuffer());
+            }
+            this.app.saveSoundSettings(id);
+        } catch (error) {
+            console.error('Не удалось вычислить хэш звука:', error);
+        }
+    }
+
+    async processItem(item) {
+        if (item.file.size > this.maxFileSize) {
+            this.fail(item, 'too-large');
+            return;
+        }
+
+        this.setStatus(item, 'reading', 0.1);
+        try {
+            const data = await item.file.arrayBuffer();
+            if (this.cancelled) {
+                this.fail(item, 'cancelled');
+                return;
+            }
+
+            this.setStatus(item, 'hashing', 0.3);
+            item.hash = await AudioEngine.hashData(data);
+            if (this.cancelled) {
+                this.fail(item, 'cancelled');
+                return;
+            }
+
+            this.setStatus(item, 'checking', 0.4);
+            await this.hashMatchingSounds(item.file.size);
+            if (this.cancelled) {
+                this.fail(item, 'cancelled');
+                return;
+            }
+
+            const duplicateOf = this.findDuplicate(item);
+            if (duplicateOf) {
+                item.duplicateOf = duplicateOf;
+                this.fail(item, 'duplicate');
+                return;
+            }
+
+            this.setStatus(item, 'decoding', 0.5);
+            let buffer;
+            try {
+                buffer = await this.audioEngine.decodeData(data);
+            } catch (error) {
+                this.fail(item, this.isSupportedType(item.file) ? 'corrupt' : 'unsupported');
+                return;
+            }
+            if (this.cancelled) {
+                this.fail(item, 'cancelled');
+                return;
+            }
+
+            this.setStatus(item, 'saving', 0.9);
+            const result = await this.app.addSound(item.file, item.folderId, null, { buffer, hash: item.hash });
+            item.soundId = result.soundId;
+            item.saved = result.saved;
+            this.setStatus(item, 'done', 1);
+        } catch (error) {
+            console.error('Ошибка загрузки звука:', error);
+            this.fail(item, 'failed', error.message);
+        }
+    }
+
+    findDuplicate(item) {
+        const existingId = this.audioEngine.findSoundByHash(item.hash);
+        if (existingId) return this.audioEngine.sounds.get(existingId).name;
+
+        const pending = this.items.find((other) => other !== item && other.hash === item.hash &&
+            ['decoding', 'saving', 'done'].includes(other.status));
+        return pending ? pending.file.name : null;
+    }
+
+    isSupportedType(file) {
+        if (!file.type || typeof document === 'undefined') return true;
+        return document.createElement('audio').canPlayType(file.type) !== '';
+    }
+
+    setStatus(item, status, progress) {
+        item.status = status;
+        item.progress = progress;
+        this.notify(item);
+    }
+
+    fail(item, reason, message = null) {
+        item.status = reason === 'duplicate' ? 'duplicate' : 'failed';
+        item.reason = reason;
+        item.message = message;
+        item.progress = 1;
+        this.notify(item);
+    }
+
+    notify(item = null) {
+        if (this.onChange) {
+            this.onChange(item);
+        }
+    }
+
+    getProgress() {
+        if (this.items.length === 0) return 0;
+        return this.items.reduce((sum, item) => sum + item.progress, 0) / this.items.length;
+    }
+
+    getReasonText(item) {
+        const label = UploadQueue.getReasonLabels()[item.reason] || item.reason;
+        if (item.reason === 'duplicate' && item.duplicateOf) return `${label}: ${item.duplicateOf}`;
+        return item.message ? `${label}: ${item.message}` : label;
+    }
+
+    getSummary() {
+        const loaded = this.items.filter((item) => item.status === 'done');
+        return {
+            loadedCount: loaded.length,
+            unsavedCount: loaded.filter((item) => !item.saved).length,
+            duplicateCount: this.items.filter((item) => item.status === 'duplicate').length,
+            cancelled: this.cancelled,
+            failures: this.items
+                .filter((item) => item.status === 'failed' && item.reason !== 'cancelled')
+                .map((item) => ({ name: item.file.name, reason: item.reason, text: this.getReasonText(item) }))
+        };
+    }
+}
@@ -0,0 +1,221 @@
+// voice.js
+class VoiceChannel {
+    static getPresets() {
+        return {
+            none: { label: 'Без обработки' },
+            giant: { label: 'Великан', pitch: 0.7 },
+            construct: { label: 'Конструкт', ringFrequency: 60 },
+            ghost: { label: 'Призрак', echoDelay: 0.3, echoFeedback: 0.55 }
+        };
+    }
+
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.audioContext = audioEngine.audioContext;
+        this.stream = null;
+        this.source = null;
+        this.fileSource = null;
+        this.preset = 'none';
+        this.presetNodes = [];
+        this.volume = 1;
+        this.monitoring = true;
+
+        this.input = this.audioContext.createGain();
+        this.output = this.audioContext.createGain();
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 256;
+        this.monitorGain = this.audioContext.createGain();
+        this.recordTap = this.audioContext.createGain();
+        this.recordTap.gain.value = 0;
+
+        // Прослушиваемый голос идет через мастер-шину (фейдер, индикатор, запись сессии);
+        // без прослушивания он попадает в запись напрямую через recordTap.
+        this.output.connect(this.analyser);
+        this.output.connect(this.monitorGain);
+        this.output.connect(this.recordTap);
+        this.monitorGain.connect(this.audioEngine.masterGain);
+        this.setPreset('none');
+    }
+
+    isActive() {
+        return !!this.source;
+    }
+
+    start(stream) {
+        this.stop();
+        this.stream = stream;
+        this.source = this.audioContext.createMediaStreamSource(stream);
+        this.source.connect(this.input);
+        this.audioEngine.notifyActiveCountChange();
+        return true;
+    }
+
+    startFile(buffer) {
+        const destination = this.audioContext.createMediaStreamDestination();
+        const fileSource = this.audioContext.createBufferSource();
+        fileSource.buffer = buffer;
+        fileSource.loop = true;
+        fileSource.connect(destination);
+        fileSource.start();
+
+        this.start(destination.stream);
+        this.fileSource = fileSource;
+        return true;
+    }
+
+    stop() {
+        if (!this.source) return false;
+
+        this.source.disconnect();
+        this.stream.getTracks().forEach((track) => track.stop());
+        if (this.fileSource) {
+            try {
+                this.fileSource.stop();
+            } catch (e) {}
+        }
+        this.source = null;
+        this.stream = null;
+        this.fileSource = null;
+        this.audioEngine.notifyActiveCountChange();
+        return true;
+    }
+
+    getSettings() {
+        return {
+            preset: this.preset,
+            volume: this.volume,
+            monitoring: this.monitoring
+        };
+    }
+
+    applySettings(settings) {
+        if (settings.preset !== undefined) this.setPreset(settings.preset);
+        if (settings.volume !== undefined) this.setVolume(settings.volume);
+        if (settings.monitoring !== undefined) this.setMonitoring(settings.monitoring);
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        this.audioEngine.setGain(this.output, volume);
+    }
+
+    setMonitoring(monitoring) {
+        this.monitoring = monitoring;
+        this.audioEngine.setGain(this.monitorGain, monitoring ? 1 : 0);
+        this.audioEngine.setGain(this.recordTap, monitoring ? 0 : 1);
+    }
+
+    setPreset(name) {
+        const preset = VoiceChannel.getPresets()[name];
+        this.preset = preset ? name : 'none';
+
+        this.input.disconnect();
+        this.presetNodes.forEach((node) => {
+            if (typeof node.stop === 'function') {
+                try {
+                    node.stop();
+                } catch (e) {}
+            }
+            node.disconnect();
+        });
+
+        if (this.preset === 'giant') {
+            this.presetNodes = this.buildPitchShift(preset.pitch);
+        } else if (this.preset === 'construct') {
+            this.presetNodes = this.buildRingModulator(preset.ringFrequency);
+        } else if (this.preset === 'ghost') {
+            this.presetNodes = this.buildEcho(preset.echoDelay, preset.echoFeedback);
+        } else {
+            this.presetNodes = [];
+            this.input.connect(this.output);
+        }
+        return this.preset;
+    }
+
+    buildPitchShift(ratio) {
+        const audioContext = this.audioContext;
+        const maxDelay = 0.1;
+        const period = maxDelay / Math.abs(1 - ratio);
+        const length = Math.max(1, Math.round(period * audioContext.sampleRate));
+        const ramp = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const fade = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const rampData = ramp.getChannelData(0);
+        const fadeData = fade.getChannelData(0);
+
+        // Две линии задержки с пилообразной модуляцией, смещенные на полпериода,
+        // перекрестно затухают, чтобы скрыть скачок задержки.
+        for (let i = 0; i < length; i++) {
+            const phase = i / length;
+            rampData[i] = ratio < 1 ? phase : 1 - phase;
+            fadeData[i] = Math.sin(Math.PI * phase);
+        }
+
+        const nodes = [];
+        const startTime = audioContext.currentTime;
+        [0, period / 2].forEach((offset) => {
+            const delay = audioContext.createDelay(maxDelay * 2);
+            const tapGain = audioContext.createGain();
+            const modulator = audioContext.createBufferSource();
+            const depth = audioContext.createGain();
+            const fader = audioContext.createBufferSource();
+
+            delay.delayTime.value = 0;
+            tapGain.gain.value = 0;
+            depth.gain.value = maxDelay;
+            modulator.buffer = ramp;
+            modulator.loop = true;
+            fader.buffer = fade;
+            fader.loop = true;
+
+            modulator.connect(depth);
+            depth.connect(delay.delayTime);
+            fader.connect(tapGain.gain);
+            this.input.connect(delay);
+            delay.connect(tapGain);
+            tapGain.connect(this.output);
+
+            modulator.start(startTime, offset);
+            fader.start(startTime, offset);
+            nodes.push(delay, tapGain, modulator, depth, fader);
+        });
+        return nodes;
+    }
+
+    buildRingModulator(frequency) {
+        const carrier = this.audioContext.createOscillator();
+        const ring = this.audioContext.createGain();
+
+        carrier.type = 'sine';
+        carrier.frequency.value = frequency;
+        ring.gain.value = 0;
+
+        carrier.connect(ring.gain);
+        this.input.connect(ring);
+        ring.connect(this.output);
+        carrier.start();
+        return [carrier, ring];
+    }
+
+    buildEcho(delayTime, feedbackAmount) {
+        const highpass = this.audioContext.createBiquadFilter();
+        const delay = this.audioContext.createDelay(1);
+        const damping = this.audioContext.createBiquadFilter();
+        const feedback = this.audioContext.createGain();
+
+        highpass.type = 'highpass';
+        highpass.frequency.value = 400;
+        delay.delayTime.value = delayTime;
+        damping.type = 'lowpass';
+        damping.frequency.value = 2500;
+        feedback.gain.value = feedbackAmount;
+
+        this.input.connect(highpass);
+        highpass.connect(this.output);
+        highpass.connect(delay);
+        delay.connect(damping);
+        damping.connect(feedback);
+        feedback.connect(delay);
+        damping.connect(this.output);
+        return [highpass, delay, damping, feedback];
+    }
+}
@@ -0,0 +1,242 @@
+// waveform.js
+class WaveformEditor {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.soundId = null;
+        this.region = null;
+        this.peaks = [];
+        this.dragging = null;
+        this.previewSourceId = null;
+        this.markers = {
+            start: { label: 'Начало', color: '#ff6b6b' },
+            end: { label: 'Конец', color: '#ff6b6b' },
+            loopStart: { label: 'Петля', color: '#00b894' },
+            loopEnd: { label: 'Петля', color: '#00b894' }
+        };
+    }
+
+    bind() {
+        this.dialog = document.getElementById('waveformDialog');
+        this.canvas = document.getElementById('waveformCanvas');
+        this.inputs = Array.from(this.dialog.querySelectorAll('[data-marker]'));
+
+        this.canvas.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.canvas.addEventListener('pointermove', (e) => this.drag(e));
+        this.canvas.addEventListener('pointerup', () => this.endDrag());
+        this.canvas.addEventListener('pointercancel', () => this.endDrag());
+
+        this.inputs.forEach((input) => {
+            input.addEventListener('change', () => {
+                this.setMarker(input.dataset.marker, parseFloat(input.value) || 0);
+            });
+        });
+
+        document.getElementById('waveformPreviewBtn').addEventListener('click', () => this.preview(false));
+        document.getElementById('waveformLoopPreviewBtn').addEventListener('click', () => this.preview(true));
+        document.getElementById('waveformResetBtn').addEventListener('click', () => {
+            this.region = this.audioEngine.getRegion(this.getSound(), {
+                start: 0, end: null, loopStart: null, loopEnd: null
+            });
+            this.render();
+        });
+        document.getElementById('waveformCancelBtn').addEventListener('click', () => this.dialog.close());
+        document.getElementById('waveformSaveBtn').addEventListener('click', () => {
+            this.app.setSoundRegion(this.soundId, this.getStoredRegion());
+            this.dialog.close();
+        });
+        this.dialog.addEventListener('close', () => {
+            this.stopPreview();
+            this.soundId = null;
+        });
+    }
+
+    getSound() {
+        return this.audioEngine.sounds.get(this.soundId);
+    }
+
+    async open(soundId) {
+        const sound = this.audioEngine.sounds.get(soundId);
+        if (!sound) return false;
+
+        const decoded = await this.audioEngine.ensureBuffer(soundId);
+        if (!decoded) {
+            this.app.updateStatus('Не удалось декодировать звук');
+            return false;
+        }
+
+        this.soundId = soundId;
+        this.region = this.audioEngine.getRegion(sound);
+        document.getElementById('waveformTitle').textContent = `Обрезка и петля: ${sound.name}`;
+
+        this.dialog.showModal();
+        this.canvas.width = this.canvas.clientWidth || 640;
+        this.peaks = WaveformEditor.getPeaks(sound.buffer, this.canvas.width);
+        this.render();
+        return true;
+    }
+
+    static getPeaks(buffer, width) {
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+
+        const samplesPerPixel = Math.max(1, Math.floor(buffer.length / width));
+        const peaks = [];
+        for (let x = 0; x < width; x++) {
+            let min = 0;
+            let max = 0;
+            const from = x * samplesPerPixel;
+            const to = Math.min(buffer.length, from + samplesPerPixel);
+
+            for (let i = from; i < to; i++) {
+                channels.forEach((data) => {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                });
+            }
+            peaks.push({ min, max });
+        }
+        return peaks;
+    }
+
+    timeToX(time) {
+        return time / this.getSound().buffer.duration * this.canvas.width;
+    }
+
+    xToTime(x) {
+        const duration = this.getSound().buffer.duration;
+        return Math.max(0, Math.min(duration, x / this.canvas.width * duration));
+    }
+
+    getPointerTime(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.xToTime((e.clientX - rect.left) * this.canvas.width / rect.width);
+    }
+
+    startDrag(e) {
+        const time = this.getPointerTime(e);
+        const tolerance = this.xToTime(8);
+        let closest = null;
+
+        Object.keys(this.markers).forEach((marker) => {
+            const distance = Math.abs(this.region[marker] - time);
+            if (distance <= tolerance && (!closest || distance < closest.distance)) {
+                closest = { marker, distance };
+            }
+        });
+        if (!closest) return;
+
+        this.dragging = closest.marker;
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    drag(e) {
+        if (this.dragging) {
+            this.setMarker(this.dragging, this.getPointerTime(e));
+        }
+    }
+
+    endDrag() {
+        this.dragging = null;
+    }
+
+    setMarker(marker, time) {
+        const duration = this.getSound().buffer.duration;
+        const minGap = 0.05;
+        const region = this.region;
+
+        if (marker === 'start') {
+            region.start = Math.max(0, Math.min(time, region.loopStart));
+        } else if (marker === 'end') {
+            region.end = Math.min(duration, Math.max(time, region.loopEnd));
+        } else if (marker === 'loopStart') {
+            region.loopStart = Math.max(region.start, Math.min(time, region.loopEnd - minGap));
+        } else if (marker === 'loopEnd') {
+            region.loopEnd = Math.min(region.end, Math.max(time, region.loopStart + minGap));
+        }
+        this.render();
+    }
+
+    getStoredRegion() {
+        const duration = this.getSound().buffer.duration;
+        const region = this.region;
+
+        return {
+            start: region.start,
+            end: region.end < duration ? region.end : null,
+            loopStart: region.loopStart > region.start ? region.loopStart : null,
+            loopEnd: region.loopEnd < region.end ? region.loopEnd : null
+        };
+    }
+
+    preview(loop) {
+        this.stopPreview();
+        this.audioEngine.resumeAudioContext();
+
+        const region = this.region;
+        this.previewSourceId = this.audioEngine.playSound(this.soundId, {
+            offset: loop ? Math.max(region.loopStart, region.loopEnd - 2) : region.start,
+            fadeIn: 0,
+            loop: loop,
+            region: { ...region }
+        });
+        this.animatePreview();
+    }
+
+    stopPreview() {
+        if (this.previewSourceId) {
+            this.audioEngine.stopSound(this.previewSourceId, 0);
+            this.previewSourceId = null;
+        }
+    }
+
+    animatePreview() {
+        this.render();
+        if (this.previewSourceId && this.audioEngine.activeSources.has(this.previewSourceId)) {
+            requestAnimationFrame(() => this.animatePreview());
+        } else {
+            this.previewSourceId = null;
+        }
+    }
+
+    render() {
+        if (!this.soundId) return;
+
+        const ctx = this.canvas.getContext('2d');
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const middle = height / 2;
+        const region = this.region;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 184, 148, 0.15)';
+        ctx.fillRect(this.timeToX(region.loopStart), 0, this.timeToX(region.loopEnd) - this.timeToX(region.loopStart), height);
+
+        this.peaks.forEach((peak, x) => {
+            const time = this.xToTime(x);
+            ctx.fillStyle = time < region.start || time > region.end ? '#4a4a6d' : '#64dfdf';
+            ctx.fillRect(x, middle + peak.min * middle, 1, Math.max(1, (peak.max - peak.min) * middle));
+        });
+
+        ctx.font = '11px sans-serif';
+        Object.keys(this.markers).forEach((marker) => {
+            const x = Math.round(this.timeToX(region[marker]));
+            ctx.fillStyle = this.markers[marker].color;
+            ctx.fillRect(Math.min(x, width - 2), 0, 2, height);
+            ctx.fillText(this.markers[marker].label, Math.min(x + 4, width - 40), marker.startsWith('loop') ? height - 4 : 12);
+        });
+
+        if (this.previewSourceId && this.audioEngine.activeSources.has(this.previewSourceId)) {
+            ctx.fillStyle = 'white';
+            ctx.fillRect(this.timeToX(this.audioEngine.getPlaybackPosition(this.previewSourceId)), 0, 1, height);
+        }
+
+        this.inputs.forEach((input) => {
+            if (document.activeElement !== input) {
+                input.value = region[input.dataset.marker].toFixed(2);
+            }
+        });
+    }
+}